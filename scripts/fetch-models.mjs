@@ -0,0 +1,53 @@
+import { existsSync, mkdirSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// MediaPipe landmarker models served from public/mediapipe/models/. The
+// paths match MODELS in src/lib/mediapipe.js. Run directly (`npm run models`)
+// or from the Vite plugin on every dev/build; files already present are kept.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MODELS_DIR = path.resolve(__dirname, "../public/mediapipe/models");
+
+const MODELS_URL = "https://storage.googleapis.com/mediapipe-models/";
+
+const MODELS = [
+	"face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+	"hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
+];
+
+const FETCH_TIMEOUT_MS = 60_000;
+
+// Downloads the missing models; resolves to the paths that couldn't be
+// fetched, with the reason
+export async function fetchModels(log = console.log) {
+	const failures = [];
+	for (const model of MODELS) {
+		const target = path.join(MODELS_DIR, model);
+		if (existsSync(target)) continue;
+
+		try {
+			log(`Fetching ${model}`);
+			const response = await fetch(MODELS_URL + model, {
+				signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+			});
+			if (!response.ok) {
+				throw new Error(`${response.status} ${response.statusText}`);
+			}
+			const data = Buffer.from(await response.arrayBuffer());
+			mkdirSync(path.dirname(target), { recursive: true });
+			writeFileSync(target, data);
+		} catch (error) {
+			failures.push({ model, reason: error.message });
+		}
+	}
+	return failures;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+	const failures = await fetchModels();
+	for (const { model, reason } of failures) {
+		console.error(`Failed to fetch ${model}: ${reason}`);
+	}
+	process.exitCode = failures.length > 0 ? 1 : 0;
+}
@@ -1,18 +1,151 @@
-import {
-	FaceLandmarker,
-	FilesetResolver,
-	HandLandmarker,
-} from "@mediapipe/tasks-vision";
-import { Box, FolderOpen, Play, Square } from "lucide-react";
-import { useEffect, useRef, useState } from "react";
+import { Box, Check, FolderOpen, Link, X } from "lucide-react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import * as THREE from "three";
-import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
-import { clsx } from "clsx";
-
-const VIEWER_BACKGROUND = new THREE.Color(0x020205);
+import {
+	collectDroppedFiles,
+	collectSelectedFiles,
+	createAssetSet,
+	createAssetUrlModifier,
+} from "@/lib/assets";
+import {
+	createAnnotationLayer,
+	createAnnotationsFile,
+	getAnchorDistance,
+	getModelDimensions,
+	parseAnnotationsFile,
+	pickSurface,
+} from "@/lib/annotations";
+import {
+	createAnimationController,
+	loadPlaybackSettings,
+	savePlaybackSettings,
+} from "@/lib/animation";
+import { MODEL_EXTENSIONS, loadModel } from "@/lib/formats";
+import { releaseGLTFLoader } from "@/lib/loaders";
+import { getCameraErrorStatus, listCameras, openCamera } from "@/lib/camera";
+import {
+	clearCalibration,
+	DEFAULT_CALIBRATION,
+	estimateHeadPosition,
+	getDefaultHeadPosition,
+	getScreenSize,
+	loadCalibration,
+	saveCalibration,
+} from "@/lib/headPose";
+import {
+	createHeadFilter,
+	loadFilterSettings,
+	saveFilterSettings,
+} from "@/lib/filters";
+import {
+	createGestureRecognizer,
+	loadGestureSettings,
+	saveGestureSettings,
+} from "@/lib/gestures";
+import {
+	configureShadowLight,
+	createContactShadows,
+	createShadowFloor,
+	loadGroundingSettings,
+	saveGroundingSettings,
+} from "@/lib/grounding";
+import {
+	createLightingRig,
+	getLightingFromUrl,
+	isEnvironmentFile,
+	loadLightingSettings,
+	saveLightingSettings,
+} from "@/lib/lighting";
+import {
+	collectMaterials,
+	getMaterialVariants,
+	selectMaterialVariant,
+} from "@/lib/materials";
+import { createLandmarkers } from "@/lib/mediapipe";
+import {
+	applyViewState,
+	frameModel,
+	getViewFromUrl,
+	getViewState,
+	loadFramingSettings,
+	panModel,
+	reframeModel,
+	rotateModel,
+	saveFramingSettings,
+	scaleModel,
+} from "@/lib/modelTransform";
+import { createStatsReport, getModelStats, validateModel } from "@/lib/modelStats";
+import {
+	applyFaceBlendshapes,
+	bindFaceBlendshapes,
+	clearFaceBlendshapes,
+	collectMorphTargets,
+	countMatchedBlendshapes,
+	FACE_BLENDSHAPES,
+	resetMorphTargets,
+} from "@/lib/morphTargets";
+import { createAmbientOcclusion } from "@/lib/postprocessing";
+import {
+	createRenderModes,
+	createVertexHelpers,
+	DEFAULT_RENDER_DEBUG,
+} from "@/lib/renderModes";
+import {
+	applyNodeVisibility,
+	buildSceneTree,
+	createSelectionHighlight,
+	getHiddenNodes,
+} from "@/lib/sceneGraph";
+import {
+	createBackground,
+	createVirtualBox,
+	disposeVirtualBox,
+	loadSceneStyle,
+	saveSceneStyle,
+} from "@/lib/sceneStyle";
+import {
+	createSessionPlayer,
+	createSessionRecorder,
+	parseTrackingSession,
+} from "@/lib/trackingSession";
+import { attachViewerInput } from "@/lib/viewerInput";
+import { createClipping, DEFAULT_CLIPPING } from "@/lib/clipping";
+import {
+	canvasToBlob,
+	createCaptureContext,
+	getCaptureSize,
+	loadCaptureSettings,
+	recordVideo,
+	saveCaptureSettings,
+} from "@/lib/capture";
+import { applyTextureToSlot, findMissingTextureSlots } from "@/lib/textures";
+import {
+	buildStateUrl,
+	findAnimationIndex,
+	getAnimationFromUrl,
+	getAnimationParam,
+	getAnnotationsUrlFromUrl,
+	getTrackingFromUrl,
+	replaceUrl,
+} from "@/lib/urlState";
+import { downloadBlob } from "@/lib/utils";
+import { AnimationPanel } from "@/components/AnimationPanel";
+import { CalibrationDialog } from "@/components/CalibrationDialog";
+import { CapturePanel } from "@/components/CapturePanel";
+import { ClippingPanel } from "@/components/ClippingPanel";
+import { LightingPanel } from "@/components/LightingPanel";
+import { MaterialPanel } from "@/components/MaterialPanel";
+import { MeasurePanel } from "@/components/MeasurePanel";
+import { MorphTargetPanel } from "@/components/MorphTargetPanel";
+import { RenderModePanel } from "@/components/RenderModePanel";
+import { SceneGraphPanel } from "@/components/SceneGraphPanel";
+import { SceneStylePanel } from "@/components/SceneStylePanel";
+import { StatsPanel } from "@/components/StatsPanel";
+import { TrackingPanel } from "@/components/TrackingPanel";
+import { ViewPanel } from "@/components/ViewPanel";
 
 const statusCopy = {
-	idle: "Drag & drop a GLTF/GLB file, or add ?model=URL",
+	idle: "Drag & drop a model file or folder, or add ?model=URL",
 	loading: "Loading model...",
 	error: "Failed to load model. Check the file or URL.",
 };
@@ -39,150 +172,30 @@ function disposeModel(object) {
 	});
 }
 
-// The box depth is fixed, but width/height will match viewport aspect
-const BOX_DEPTH = 10;
+// The box depth comes from the scene style, width/height match the viewport aspect
+const LIGHT_OFFSET = new THREE.Vector3(4, 6, 8); // key light, relative to the box center
 const FIXED_HEIGHT = 10; // World units for height
 
-function createVirtualBoxGrid(width, height, depth) {
-	const group = new THREE.Group();
-	const gridColor = 0x444444;
-	const lineCount = 10;
-
-	// Back wall grid (at z = -depth)
-	const backGrid = new THREE.GridHelper(
-		Math.max(width, depth),
-		lineCount,
-		gridColor,
-		gridColor,
-	);
-	backGrid.rotation.x = Math.PI / 2;
-	backGrid.position.z = -depth;
-	backGrid.position.y = 0;
-	backGrid.scale.set(
-		width / Math.max(width, depth),
-		1,
-		height / Math.max(width, depth),
-	);
-	group.add(backGrid);
-
-	// Floor grid
-	const floorGrid = new THREE.GridHelper(
-		Math.max(width, depth),
-		lineCount,
-		gridColor,
-		gridColor,
-	);
-	floorGrid.position.y = -height / 2;
-	floorGrid.position.z = -depth / 2;
-	floorGrid.scale.set(
-		width / Math.max(width, depth),
-		1,
-		depth / Math.max(width, depth),
-	);
-	group.add(floorGrid);
-
-	// Ceiling grid
-	const ceilingGrid = new THREE.GridHelper(
-		Math.max(width, depth),
-		lineCount,
-		gridColor,
-		gridColor,
-	);
-	ceilingGrid.position.y = height / 2;
-	ceilingGrid.position.z = -depth / 2;
-	ceilingGrid.scale.set(
-		width / Math.max(width, depth),
-		1,
-		depth / Math.max(width, depth),
-	);
-	group.add(ceilingGrid);
-
-	// Left wall grid
-	const leftGrid = new THREE.GridHelper(
-		Math.max(depth, height),
-		lineCount,
-		gridColor,
-		gridColor,
-	);
-	leftGrid.rotation.z = Math.PI / 2;
-	leftGrid.position.x = -width / 2;
-	leftGrid.position.z = -depth / 2;
-	leftGrid.scale.set(
-		height / Math.max(depth, height),
-		1,
-		depth / Math.max(depth, height),
-	);
-	group.add(leftGrid);
-
-	// Right wall grid
-	const rightGrid = new THREE.GridHelper(
-		Math.max(depth, height),
-		lineCount,
-		gridColor,
-		gridColor,
-	);
-	rightGrid.rotation.z = Math.PI / 2;
-	rightGrid.position.x = width / 2;
-	rightGrid.position.z = -depth / 2;
-	rightGrid.scale.set(
-		height / Math.max(depth, height),
-		1,
-		depth / Math.max(depth, height),
-	);
-	group.add(rightGrid);
-
-	return group;
-}
-
-function frameObject(object, boxWidth, boxHeight, boxDepth) {
-    // Ensure matrix is updated for accurate bounding box
-    object.updateMatrixWorld(true);
-
-	const box = new THREE.Box3().setFromObject(object);
-	const size = box.getSize(new THREE.Vector3());
-
-	if (size.length() === 0) {
-		return;
-	}
-
-	// Scale first
-	const maxDimension = Math.max(size.x, size.y, size.z);
-	const targetSize = Math.min(boxWidth, boxHeight, boxDepth) * 0.6;
-	const scale = targetSize / maxDimension;
-	object.scale.setScalar(scale);
-
-	// Recalculate bounding box after scaling
-	object.updateMatrixWorld(true);
-	const scaledBox = new THREE.Box3().setFromObject(object);
-	const scaledCenter = scaledBox.getCenter(new THREE.Vector3());
-
-	// Center the scaled model
-	object.position.sub(scaledCenter);
-	object.position.z = -boxDepth / 2;
+// World units per physical centimeter: the viewport is the window into the
+// box, so its physical height maps onto the box height
+function getWorldPerCm(container, calibration) {
+	const { cmPerPx } = getScreenSize(calibration);
+	return FIXED_HEIGHT / (container.clientHeight * cmPerPx);
 }
 
-function getModelMetadata(object, sourceName) {
-	let vertices = 0;
-	let triangles = 0;
-
-	object.traverse((child) => {
-		if (child.isMesh && child.geometry) {
-			vertices += child.geometry.attributes.position.count;
-			if (child.geometry.index) {
-				triangles += child.geometry.index.count / 3;
-			} else {
-				triangles += child.geometry.attributes.position.count / 3;
-			}
-		}
-	});
-
+function getModelMetadata(stats, sourceName) {
 	return {
 		name: sourceName || "Unknown Model",
-		vertices: vertices.toLocaleString(),
-		triangles: Math.floor(triangles).toLocaleString(),
+		vertices: stats.vertices.toLocaleString(),
+		triangles: stats.triangles.toLocaleString(),
 	};
 }
 
+// File name for exports about the model, e.g. "robot.annotations.json"
+function getExportName(modelName, suffix) {
+	return `${(modelName || "model").replace(/\.[^.]+$/, "")}.${suffix}`;
+}
+
 export function App() {
 	// Dynamic home URL based on environment
 	const homeUrl = import.meta.env.DEV ? "https://localhost:8030/" : "/";
@@ -206,10 +219,66 @@ export function App() {
 	});
 	const [status, setStatus] = useState(modelSource ? "loading" : "idle");
 	const [metadata, setMetadata] = useState(null);
+	const [modelStats, setModelStats] = useState(null); // {stats, issues}, see getModelStats
 	const [animations, setAnimations] = useState([]);
 	const [activeAnimIndex, setActiveAnimIndex] = useState(null);
 	const [isPlaying, setIsPlaying] = useState(false);
+	const [clipWeights, setClipWeights] = useState({}); // clip index -> weight, for the primary and layered clips
+	const [playback, setPlayback] = useState(() => loadPlaybackSettings());
+	const [morphMeshes, setMorphMeshes] = useState([]); // meshes with morph targets, see collectMorphTargets
+	const [puppetBindings, setPuppetBindings] = useState([]); // morph targets matching face blendshapes
+	const [facePuppet, setFacePuppet] = useState(false);
+	const [sceneTree, setSceneTree] = useState(null); // outliner tree, see buildSceneTree
+	const [hiddenNodes, setHiddenNodes] = useState(() => new Set());
+	const [isolatedNode, setIsolatedNode] = useState(null); // node id
+	const [selectedNode, setSelectedNode] = useState(null); // tree node
+	const [modelGltf, setModelGltf] = useState(null); // glTF loader result, null for other formats
+	const [materials, setMaterials] = useState([]); // see collectMaterials
+	const [materialVariants, setMaterialVariants] = useState([]); // KHR_materials_variants names
+	const [activeVariant, setActiveVariant] = useState(null);
+	const [renderDebug, setRenderDebug] = useState(DEFAULT_RENDER_DEBUG);
+	const [dimensions, setDimensions] = useState(null); // model bounding box in source units
+	const [measureTool, setMeasureTool] = useState(null); // "measure" | "annotate" | null
+	const [measurePoints, setMeasurePoints] = useState([]); // anchors, see pickSurface
+	const [annotations, setAnnotations] = useState([]); // [{text, node, position}]
+	const [annotationsUrl, setAnnotationsUrl] = useState(null); // linked annotations file
+	const [clipping, setClipping] = useState(DEFAULT_CLIPPING);
+	const [captureSettings, setCaptureSettings] = useState(() => loadCaptureSettings());
+	const [recordingProgress, setRecordingProgress] = useState(null); // 0-1 while recording
 	const [missingTextures, setMissingTextures] = useState([]);
+	const [modelAssets, setModelAssets] = useState(null); // dropped file set, null for URL models
+	const [unresolvedAssets, setUnresolvedAssets] = useState([]);
+	const [trackingStatus, setTrackingStatus] = useState("initializing");
+	const [trackingEnabled, setTrackingEnabled] = useState(
+		() => getTrackingFromUrl() ?? true,
+	);
+	const [cameras, setCameras] = useState([]);
+	const [cameraDeviceId, setCameraDeviceId] = useState(null);
+	const [showTrackingPreview, setShowTrackingPreview] = useState(false);
+	const [sessionRecording, setSessionRecording] = useState(false);
+	const [trackingReplay, setTrackingReplay] = useState(null); // {name, session}, replayed instead of the camera
+	const [calibration, setCalibration] = useState(() => loadCalibration());
+	const [showCalibration, setShowCalibration] = useState(false);
+	const [filterSettings, setFilterSettings] = useState(() =>
+		loadFilterSettings(),
+	);
+	const [gestureSettings, setGestureSettings] = useState(() =>
+		loadGestureSettings(),
+	);
+	const [activeGesture, setActiveGesture] = useState(null);
+	const [lighting, setLighting] = useState(() => ({
+		...loadLightingSettings(),
+		...getLightingFromUrl(),
+	}));
+	const [customEnvironment, setCustomEnvironment] = useState(null); // {name} of the loaded .hdr/.exr
+	const [grounding, setGrounding] = useState(() => loadGroundingSettings());
+	const [sceneStyle, setSceneStyle] = useState(() => loadSceneStyle());
+	const [framing, setFraming] = useState(
+		() => getViewFromUrl().framing ?? loadFramingSettings(),
+	);
+	const [viewState, setViewState] = useState(null); // rotation / zoom / offset of the loaded model
+	const [linkStatus, setLinkStatus] = useState(null); // "copied" | "failed", shown briefly
+	const [urlStateApplied, setUrlStateApplied] = useState(false); // the link's view, clip and annotations are on the first model
 
 	// Three.js references
 	const sceneRef = useRef(null);
@@ -217,27 +286,93 @@ export function App() {
 	const rendererRef = useRef(null);
 	const modelRef = useRef(null);
 	const gridRef = useRef(null);
+	const selectionHighlightRef = useRef(null);
+	const renderModesRef = useRef(null);
+	const renderDebugRef = useRef(renderDebug);
+	const vertexHelpersRef = useRef(null);
+	const annotationLayerRef = useRef(null);
+	const clippingRef = useRef(null);
+	const contactShadowsRef = useRef(null);
+	const captureRef = useRef(null); // start / draw / end, from the scene setup
+	const recordingAbortRef = useRef(null);
+	const clippingSettingsRef = useRef(clipping);
+	const initialAnnotationsUrlRef = useRef(getAnnotationsUrlFromUrl()); // loaded with the first model
+	const lightingRigRef = useRef(null);
+	const groundingRef = useRef(grounding);
+	const sceneStyleRef = useRef(sceneStyle);
+	const framingRef = useRef(framing);
+	const initialViewStateRef = useRef(getViewFromUrl().viewState); // applied to the first model loaded
+	const initialAnimationRef = useRef(getAnimationFromUrl()); // {clip, time}, played on the first model loaded
+	const viewSyncTimerRef = useRef(null);
 	const dimsRef = useRef({
 		width: FIXED_HEIGHT,
 		height: FIXED_HEIGHT,
-		depth: BOX_DEPTH,
+		depth: sceneStyle.boxDepth,
 	});
-	const mixerRef = useRef(null);
-	const actionsRef = useRef([]);
+	const animationRef = useRef(null); // animation controller of the loaded model
+	const activeAnimIndexRef = useRef(null);
 	const clockRef = useRef(new THREE.Clock());
-	const materialsNeedingTexturesRef = useRef([]); // [{material, mapType, expectedPath}]
+	const materialsNeedingTexturesRef = useRef([]); // [{material, slot, expectedFilename, ...}]
 
 	// Tracking references
-	const faceLandmarkerRef = useRef(null);
-	const handLandmarkerRef = useRef(null);
-	const facePositionRef = useRef({ x: 0, y: 0 });
-	const isPinchingRef = useRef(false);
-	const prevPinchRef = useRef(null); // {x, y}
+	const landmarkersRef = useRef(null); // Promise<{faceLandmarker, handLandmarker}>
+	const landmarksRef = useRef({ face: null, hands: [] }); // latest results, for the preview
+	const facePositionRef = useRef(null); // {x, y, z, timestamp}: head in cm from screen center, null when untracked
+	const calibrationRef = useRef(calibration);
+	const filterSettingsRef = useRef(filterSettings);
+	const gestureRecognizerRef = useRef(createGestureRecognizer());
+	const gestureSettingsRef = useRef(gestureSettings);
+	const facePuppetRef = useRef(false);
+	const puppetBindingsRef = useRef([]);
+	const sessionRecorderRef = useRef(null); // records the live landmark streams
 	const requestRef = useRef(null);
 	const lastVideoTimeRef = useRef(-1);
     const lastFaceTrackingTimeRef = useRef(0);
     const lastHandTrackingTimeRef = useRef(0);
 
+	// Current framing settings, for frameModel / reframeModel
+	const getFramingOptions = () => ({
+		mode: framingRef.current.mode,
+		snapToFloor: groundingRef.current.snapToFloor,
+		worldPerMeter:
+			getWorldPerCm(containerRef.current, calibrationRef.current) * 100,
+	});
+
+	// Mirrors the model's view state into React for the View panel, at most
+	// every 100 ms while inputs are moving the model
+	const scheduleViewSync = () => {
+		if (viewSyncTimerRef.current) return;
+		viewSyncTimerRef.current = setTimeout(() => {
+			viewSyncTimerRef.current = null;
+			setViewState(modelRef.current ? getViewState(modelRef.current) : null);
+		}, 100);
+	};
+
+	// Applies a view action from any input (hand gestures, mouse, touch or
+	// keyboard) to the loaded model. Only touches refs, so the input loops can
+	// call it without depending on render state.
+	const applyViewAction = (action) => {
+		const model = modelRef.current;
+		// Recordings pose the model themselves for every frame
+		if (!model || recordingAbortRef.current) return;
+
+		switch (action.type) {
+			case "rotate":
+				rotateModel(model, action.quaternion);
+				break;
+			case "scale":
+				scaleModel(model, action.factor);
+				break;
+			case "pan":
+				panModel(model, action.x, action.y, dimsRef.current);
+				break;
+			case "reset":
+				frameModel(model, dimsRef.current, getFramingOptions());
+				break;
+		}
+		scheduleViewSync();
+	};
+
 	// Initialize Scene
 	useEffect(() => {
 		const container = containerRef.current;
@@ -245,7 +380,6 @@ export function App() {
 
 		// Scene
 		const scene = new THREE.Scene();
-		scene.background = VIEWER_BACKGROUND;
 		sceneRef.current = scene;
 
 		// Camera
@@ -259,12 +393,14 @@ export function App() {
 		cameraRef.current = camera;
 
 		// Renderer
-		const renderer = new THREE.WebGLRenderer({ antialias: true });
+		// Stencil for section caps, alpha for transparent screenshots
+		const renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true, alpha: true });
 		renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 		renderer.setSize(container.clientWidth, container.clientHeight);
 		renderer.outputColorSpace = THREE.SRGBColorSpace; // Critical for correct color rendering
-		renderer.toneMapping = THREE.ACESFilmicToneMapping;
-		renderer.toneMappingExposure = 1.0;
+		renderer.shadowMap.enabled = true;
+		renderer.shadowMap.type = THREE.PCFShadowMap;
+		renderer.localClippingEnabled = true;
 		container.appendChild(renderer.domElement);
 		rendererRef.current = renderer;
 
@@ -273,60 +409,109 @@ export function App() {
 		scene.add(ambient);
 
 		const directional = new THREE.DirectionalLight(0xffffff, 0.9);
-		directional.position.set(4, 6, 8);
 		scene.add(directional);
+		scene.add(directional.target);
 
-		// Initial Grid Setup
-		const aspect = container.clientWidth / container.clientHeight;
-		const width = FIXED_HEIGHT * aspect;
-		const height = FIXED_HEIGHT;
-		dimsRef.current = { width, height, depth: BOX_DEPTH };
-
-		const grid = createVirtualBoxGrid(width, height, BOX_DEPTH);
-		scene.add(grid);
-		gridRef.current = grid;
-
-		// Resize Handler
-		const handleResize = () => {
-			const w = container.clientWidth;
-			const h = container.clientHeight;
-			const newAspect = w / h;
-
-			renderer.setSize(w, h);
-
-			// Update Box Dimensions to match viewport
-			const newWidth = FIXED_HEIGHT * newAspect;
-			dimsRef.current = {
-				width: newWidth,
+		// Environment map, light intensities and tone mapping, applied from
+		// the lighting settings
+		const lightingRig = createLightingRig(renderer, scene, {
+			ambient,
+			directional,
+		});
+		lightingRigRef.current = lightingRig;
+
+		// Shadow floor and contact shadows, fitted to the box
+		const shadowFloor = createShadowFloor();
+		scene.add(shadowFloor.object);
+		const contactShadows = createContactShadows();
+		scene.add(contactShadows.object);
+		contactShadowsRef.current = contactShadows;
+
+		// Created on first use, ambient occlusion needs a composer
+		let ambientOcclusion = null;
+
+		// Debug render mode materials
+		const renderModes = createRenderModes();
+		renderModesRef.current = renderModes;
+
+		// Annotation pins and measurements, as HTML labels over the canvas
+		const annotationLayer = createAnnotationLayer(container);
+		scene.add(annotationLayer.object);
+		annotationLayerRef.current = annotationLayer;
+
+		// Section planes, with their caps and handles
+		const clipping = createClipping();
+		scene.add(clipping.object);
+		clippingRef.current = clipping;
+
+		// (Re)build the virtual box and background from the viewport aspect
+		// and the scene style
+		const buildBox = () => {
+			const style = sceneStyleRef.current;
+			const dims = {
+				width: FIXED_HEIGHT * (container.clientWidth / container.clientHeight),
 				height: FIXED_HEIGHT,
-				depth: BOX_DEPTH,
+				depth: style.boxDepth,
 			};
+			dimsRef.current = dims;
 
-			// Recreate Grid
 			if (gridRef.current) {
 				scene.remove(gridRef.current);
-				gridRef.current.children.forEach((c) => c.geometry.dispose());
+				disposeVirtualBox(gridRef.current);
 			}
-			const newGrid = createVirtualBoxGrid(newWidth, FIXED_HEIGHT, BOX_DEPTH);
-			scene.add(newGrid);
-			gridRef.current = newGrid;
+			const grid = createVirtualBox(dims.width, dims.height, dims.depth, style);
+			scene.add(grid);
+			gridRef.current = grid;
+
+			if (scene.background?.isTexture) scene.background.dispose();
+			scene.background = createBackground(style);
+
+			configureShadowLight(directional, LIGHT_OFFSET, dims);
+			shadowFloor.setBox(dims);
+			contactShadows.setBox(dims);
 
-			// Re-frame model if it exists
+			// Re-frame the model for the new box, keeping the user's rotation,
+			// zoom and offset
 			if (modelRef.current) {
-				frameObject(
-					modelRef.current,
-					newWidth,
-					FIXED_HEIGHT,
-					BOX_DEPTH,
-				);
+				reframeModel(modelRef.current, dims, getFramingOptions());
+			}
+		};
+		buildBox();
+
+		// Renderer state saved while capturing, see captureRef below
+		let captureSession = null;
+
+		// Resize Handler
+		const handleResize = () => {
+			// Applied once the capture ends
+			if (captureSession) {
+				captureSession.resized = true;
+				return;
 			}
+			const w = container.clientWidth;
+			const h = container.clientHeight;
+
+			renderer.setSize(w, h);
+			ambientOcclusion?.setSize(w, h);
+			annotationLayer.setSize(w, h);
+			buildBox();
 		};
 		window.addEventListener("resize", handleResize);
 
+		// Mouse, touch and keyboard drive the same model transform as gestures
+		const detachInput = attachViewerInput(container, applyViewAction);
+
 		// Animation Loop
 		let animationFrame;
-		let smoothedFacePos = { x: 0, y: 0 };
-		const smoothingFactor = 0.1; // Lower = smoother but more lag
+		let activeFilterSettings = filterSettingsRef.current;
+		let headFilter = createHeadFilter(activeFilterSettings);
+		let lastMeasurement = null;
+		let activeSceneStyle = sceneStyleRef.current;
+		// The model, transform and section planes the contact shadows were
+		// last rendered for
+		let shadowModel = null;
+		const shadowMatrix = new THREE.Matrix4();
+		let shadowClipping = null;
 
 		const animate = () => {
 			animationFrame = window.requestAnimationFrame(animate);
@@ -334,21 +519,65 @@ export function App() {
 			const delta = clockRef.current.getDelta();
 
 			// Update Mixer
-			if (mixerRef.current) {
-				mixerRef.current.update(delta);
+			if (animationRef.current?.update(delta)) {
+				contactShadows.invalidate();
 			}
 
-			// Smoothly interpolate camera position based on face tracking
-			const facePos = facePositionRef.current;
-			smoothedFacePos.x += (facePos.x - smoothedFacePos.x) * smoothingFactor;
-			smoothedFacePos.y += (facePos.y - smoothedFacePos.y) * smoothingFactor;
+			// Contact shadows follow the model when it's swapped or moved (it
+			// sits directly in the scene, so its local matrix is its transform)
+			const model = modelRef.current;
+			if (model) {
+				model.updateMatrix();
+				if (model !== shadowModel || !shadowMatrix.equals(model.matrix)) {
+					shadowModel = model;
+					shadowMatrix.copy(model.matrix);
+					contactShadows.invalidate();
+				}
+			}
+			if (clippingSettingsRef.current !== shadowClipping) {
+				shadowClipping = clippingSettingsRef.current;
+				contactShadows.invalidate();
+			}
+
+			// Keep the selection box and vertex helpers on the (possibly
+			// animated) model
+			selectionHighlightRef.current?.update();
+			vertexHelpersRef.current?.update();
+			annotationLayer.update(modelRef.current);
+
+			// Rebuild the box when the scene style changes
+			if (sceneStyleRef.current !== activeSceneStyle) {
+				activeSceneStyle = sceneStyleRef.current;
+				buildBox();
+			}
+
+			// Rebuild the head filter when its settings change
+			if (filterSettingsRef.current !== activeFilterSettings) {
+				activeFilterSettings = filterSettingsRef.current;
+				headFilter = createHeadFilter(activeFilterSettings);
+				lastMeasurement = null;
+			}
+
+			// Feed each new detection to the filter at its capture time, then
+			// sample it at the current frame time (predictive filters
+			// extrapolate past the throttled detections)
+			const now = performance.now();
+			const measurement = facePositionRef.current ?? {
+				...getDefaultHeadPosition(calibrationRef.current),
+				timestamp: now,
+			};
+			if (measurement !== lastMeasurement) {
+				headFilter.update(measurement, measurement.timestamp);
+				lastMeasurement = measurement;
+			}
+			const smoothedFacePos = headFilter.predict(now) ?? measurement;
 
-			const rangeX = 15;
-			const rangeY = 15;
+			// The head sits at its real-world position relative to the window
+			const worldPerCm = getWorldPerCm(container, calibrationRef.current);
 
-			camera.position.x = -smoothedFacePos.x * rangeX;
-			camera.position.y = smoothedFacePos.y * rangeY;
-			camera.position.z = 20;
+			camera.position.x = smoothedFacePos.x * worldPerCm;
+			camera.position.y = smoothedFacePos.y * worldPerCm;
+			camera.position.z = smoothedFacePos.z * worldPerCm;
 
 			// Off-Axis Projection
 			const dist = camera.position.z;
@@ -370,16 +599,141 @@ export function App() {
 				near,
 				1000,
 			);
+			camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
 			camera.rotation.set(0, 0, 0);
 
-			renderer.render(scene, camera);
+			renderView();
+			annotationLayer.render(scene, camera);
+		};
+
+		// Renders the scene as it stands: per-frame material swaps, grounding
+		// and the final (optionally ambient-occluded) render. Captures call it
+		// with the realtime loop paused.
+		const renderView = () => {
+			// Section planes follow the model's transform and materials; their
+			// handles stay out of captures
+			const clippingSettings = captureSession
+				? { ...clippingSettingsRef.current, handles: false }
+				: clippingSettingsRef.current;
+			clipping.update(modelRef.current, clippingSettings, dimsRef.current);
+
+			// Debug render mode, swapped in for this frame only
+			const renderMode = renderDebugRef.current.mode;
+			const restoreMaterials =
+				modelRef.current && renderMode !== "shaded"
+					? renderModes.apply(modelRef.current, renderMode)
+					: null;
+
+			// Grounding cues
+			const groundingSettings = groundingRef.current;
+			directional.castShadow = groundingSettings.shadows;
+			shadowFloor.object.visible = groundingSettings.shadows;
+			contactShadows.object.visible =
+				groundingSettings.contactShadows && !!modelRef.current;
+			if (contactShadows.object.visible) {
+				contactShadows.update(
+					renderer,
+					scene,
+					[
+						gridRef.current,
+						shadowFloor.object,
+						selectionHighlightRef.current,
+						vertexHelpersRef.current?.object,
+						annotationLayer.object,
+						clipping.object,
+					],
+					clipping.clippingPlanes,
+				);
+			} else {
+				// Stale by the time they're shown again
+				contactShadows.invalidate();
+			}
+
+			if (groundingSettings.ambientOcclusion) {
+				ambientOcclusion ??= createAmbientOcclusion(renderer, scene, camera);
+				ambientOcclusion.render();
+			} else {
+				renderer.render(scene, camera);
+			}
+			restoreMaterials?.();
 		};
 		animate();
 
+		// Screenshots and recordings: the renderer draws at the capture size,
+		// optionally without background and box, until end()
+		captureRef.current = {
+			start({ width, height, transparent }) {
+				captureSession = {
+					size: renderer.getSize(new THREE.Vector2()),
+					pixelRatio: renderer.getPixelRatio(),
+					clearAlpha: renderer.getClearAlpha(),
+					background: scene.background,
+					highlight: selectionHighlightRef.current?.visible,
+				};
+				window.cancelAnimationFrame(animationFrame);
+				renderer.setPixelRatio(1);
+				renderer.setSize(width, height, false);
+				ambientOcclusion?.setSize(width, height);
+				if (selectionHighlightRef.current) selectionHighlightRef.current.visible = false;
+				if (transparent) {
+					scene.background = null;
+					gridRef.current.visible = false;
+					renderer.setClearAlpha(0);
+				}
+			},
+
+			// Renders the current state, scaled into a 2D context
+			draw(context) {
+				// Frames are posed directly (clip seeks, turntable turns)
+				contactShadows.invalidate();
+				renderView();
+				const { width, height } = context.canvas;
+				context.clearRect(0, 0, width, height);
+				context.drawImage(renderer.domElement, 0, 0, width, height);
+			},
+
+			end() {
+				const { size, pixelRatio, clearAlpha, background, highlight, resized } =
+					captureSession;
+				captureSession = null;
+				scene.background = background;
+				gridRef.current.visible = true;
+				renderer.setClearAlpha(clearAlpha);
+				if (selectionHighlightRef.current) selectionHighlightRef.current.visible = highlight;
+				renderer.setPixelRatio(pixelRatio);
+				if (resized) {
+					handleResize();
+				} else {
+					renderer.setSize(size.x, size.y, false);
+					ambientOcclusion?.setSize(size.x, size.y);
+				}
+				// Skip the paused time rather than animating through it
+				clockRef.current.getDelta();
+				animate();
+			},
+		};
+
 		// Cleanup
 		return () => {
 			window.removeEventListener("resize", handleResize);
+			detachInput();
 			window.cancelAnimationFrame(animationFrame);
+			lightingRig.dispose();
+			lightingRigRef.current = null;
+			shadowFloor.dispose();
+			contactShadows.dispose();
+			contactShadowsRef.current = null;
+			ambientOcclusion?.dispose();
+			renderModes.dispose();
+			renderModesRef.current = null;
+			annotationLayer.dispose();
+			annotationLayerRef.current = null;
+			captureRef.current = null;
+			clipping.dispose();
+			clippingRef.current = null;
+			disposeVirtualBox(gridRef.current);
+			gridRef.current = null;
+			if (scene.background?.isTexture) scene.background.dispose();
 			renderer.dispose();
 			if (renderer.domElement.parentNode) {
 				renderer.domElement.parentNode.removeChild(renderer.domElement);
@@ -387,47 +741,187 @@ export function App() {
 		};
 	}, []);
 
+	// Close the landmarkers once, on unmount (camera restarts reuse them)
+	useEffect(() => {
+		return () => {
+			const landmarkers = landmarkersRef.current;
+			landmarkersRef.current = null;
+			landmarkers
+				?.then(({ faceLandmarker, handLandmarker }) => {
+					faceLandmarker.close();
+					handLandmarker.close();
+				})
+				.catch(() => {});
+		};
+	}, []);
+
+	const startSessionRecording = () => {
+		const video = videoRef.current;
+		sessionRecorderRef.current = createSessionRecorder(
+			performance.now(),
+			video.videoHeight / video.videoWidth,
+		);
+		setSessionRecording(true);
+	};
+
+	// Saves what was recorded as JSON
+	const stopSessionRecording = () => {
+		const recorder = sessionRecorderRef.current;
+		sessionRecorderRef.current = null;
+		setSessionRecording(false);
+		if (!recorder || recorder.eventCount === 0) return;
+
+		const blob = new Blob([JSON.stringify(recorder.toJSON())], {
+			type: "application/json",
+		});
+		const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+		downloadBlob(blob, `tracking-${stamp}.json`);
+	};
+
+	const openTrackingSession = (file) => {
+		file
+			.text()
+			.then((text) => {
+				const session = parseTrackingSession(JSON.parse(text));
+				setTrackingReplay({ name: file.name, session });
+			})
+			.catch((error) => {
+				console.error("Failed to load tracking session:", error);
+				alert(`Couldn't read a tracking session from ${file.name}: ${error.message}`);
+			});
+	};
+
+	// Tracking results, live or replayed: the head position for the camera,
+	// the face puppet, gestures and the preview landmarks
+	const handleFaceResult = (landmarks, blendshapes, videoAspect, now) => {
+		if (!landmarks) {
+			landmarksRef.current.face = null;
+			setTrackingStatus("no-face");
+			return;
+		}
+
+		const headPosition = estimateHeadPosition(landmarks, videoAspect, calibrationRef.current);
+		if (headPosition) {
+			facePositionRef.current = { ...headPosition, timestamp: now };
+		}
+		landmarksRef.current.face = landmarks;
+		setTrackingStatus("active");
+
+		// Face puppet: blendshape scores onto matching morph targets
+		if (facePuppetRef.current && blendshapes) {
+			applyFaceBlendshapes(puppetBindingsRef.current, blendshapes);
+			contactShadowsRef.current?.invalidate();
+		}
+	};
+
+	const handleHandResult = (hands, handedness, now) => {
+		landmarksRef.current.hands = hands;
+
+		const recognizer = gestureRecognizerRef.current;
+		const actions = recognizer.update(
+			hands,
+			handedness,
+			now,
+			gestureSettingsRef.current,
+		);
+		setActiveGesture(recognizer.gesture);
+		for (const action of actions) {
+			applyViewAction(action);
+		}
+	};
+
+	const resetTrackingResults = () => {
+		landmarksRef.current = { face: null, hands: [] };
+		gestureRecognizerRef.current.reset();
+		setActiveGesture(null);
+	};
+
+	// Replay a recorded session in place of the camera, looping, with event
+	// times mapped onto the current clock
+	useEffect(() => {
+		if (!trackingReplay) return;
+
+		const { session } = trackingReplay;
+		const player = createSessionPlayer(session);
+		let start = performance.now();
+		let frame;
+		const replay = () => {
+			frame = requestAnimationFrame(replay);
+			const now = performance.now();
+			for (const event of player.advance(now - start)) {
+				if (event.hands) {
+					handleHandResult(event.hands, event.handedness, start + event.time);
+				} else {
+					handleFaceResult(
+						event.face,
+						event.blendshapes,
+						session.videoAspect,
+						start + event.time,
+					);
+				}
+			}
+			if (player.done) {
+				player.reset();
+				gestureRecognizerRef.current.reset();
+				start = now;
+			}
+		};
+		replay();
+
+		return () => {
+			cancelAnimationFrame(frame);
+			facePositionRef.current = null;
+			resetTrackingResults();
+		};
+	}, [trackingReplay]);
+
 	// Initialize Tracking (Face + Hands)
 	useEffect(() => {
 		const video = videoRef.current;
-		if (!video) return;
+		if (!video || trackingReplay) return;
+
+		if (!trackingEnabled) {
+			setTrackingStatus("disabled");
+			facePositionRef.current = null;
+			return;
+		}
+
+		let cancelled = false;
+		setTrackingStatus("initializing");
 
 		const initTracking = async () => {
-			try {
-				const vision = await FilesetResolver.forVisionTasks(
-					"https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm",
-				);
+			// Models load once and are shared by every camera session
+			if (!landmarkersRef.current) {
+				landmarkersRef.current = createLandmarkers();
+			}
 
-				faceLandmarkerRef.current = await FaceLandmarker.createFromOptions(
-					vision,
-					{
-						baseOptions: {
-							modelAssetPath: `https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task`,
-							delegate: "GPU",
-						},
-						outputFaceBlendshapes: true,
-						runningMode: "VIDEO",
-						numFaces: 1,
-					},
-				);
+			let landmarkers;
+			try {
+				landmarkers = await landmarkersRef.current;
+			} catch (err) {
+				console.error("Tracking model load error:", err);
+				landmarkersRef.current = null; // Retry on the next enable
+				if (!cancelled) setTrackingStatus("model-failed");
+				return;
+			}
+			if (cancelled) return;
 
-				handLandmarkerRef.current = await HandLandmarker.createFromOptions(
-					vision,
-					{
-						baseOptions: {
-							modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-							delegate: "GPU",
-						},
-						runningMode: "VIDEO",
-						numHands: 1,
-					},
-				);
+			const { faceLandmarker, handLandmarker } = landmarkers;
 
-				const stream = await navigator.mediaDevices.getUserMedia({
-					video: { width: 640, height: 480 },
-				});
+			try {
+				const stream = await openCamera(cameraDeviceId);
+				if (cancelled) {
+					stream.getTracks().forEach((t) => t.stop());
+					return;
+				}
 				video.srcObject = stream;
 				await video.play();
+				setTrackingStatus("active");
+
+				// Device labels are only available after permission is granted
+				listCameras().then((devices) => {
+					if (!cancelled) setCameras(devices);
+				});
 
 				const predictWebcam = () => {
                     const now = performance.now();
@@ -437,54 +931,29 @@ export function App() {
                         lastFaceTrackingTimeRef.current = now;
                         lastVideoTimeRef.current = video.currentTime;
 
-                        if (faceLandmarkerRef.current) {
-                            const result = faceLandmarkerRef.current.detectForVideo(video, now);
-                            if (result.faceLandmarks && result.faceLandmarks.length > 0) {
-                                const landmarks = result.faceLandmarks[0];
-                                const noseTip = landmarks[1];
-                                const offsetX = noseTip.x - 0.5;
-                                const offsetY = 0.5 - noseTip.y;
-                                facePositionRef.current = { x: offsetX * 2, y: offsetY * 2 };
-                            }
-                        }
+                        const result = faceLandmarker.detectForVideo(video, now);
+                        const landmarks = result.faceLandmarks?.[0] ?? null;
+                        const blendshapes = result.faceBlendshapes?.[0]?.categories ?? null;
+                        handleFaceResult(
+                            landmarks,
+                            blendshapes,
+                            video.videoHeight / video.videoWidth,
+                            now,
+                        );
+                        sessionRecorderRef.current?.addFace(now, landmarks, blendshapes);
                     }
 
                     // Hand tracking: ~7 FPS (150ms interval) - less frequent since it's less important
                     if (now - lastHandTrackingTimeRef.current >= 150) {
                         lastHandTrackingTimeRef.current = now;
 
-                        if (handLandmarkerRef.current) {
-                            const result = handLandmarkerRef.current.detectForVideo(video, now);
-                            if (result.landmarks && result.landmarks.length > 0) {
-                                const landmarks = result.landmarks[0];
-                                const thumbTip = landmarks[4];
-                                const indexTip = landmarks[8];
-
-                                const distance = Math.sqrt(
-                                    Math.pow(thumbTip.x - indexTip.x, 2) +
-                                        Math.pow(thumbTip.y - indexTip.y, 2),
-                                );
-
-                                const isPinching = distance < 0.1;
-                                const pinchX = (thumbTip.x + indexTip.x) / 2;
-                                const pinchY = (thumbTip.y + indexTip.y) / 2;
-
-                                if (isPinching && modelRef.current) {
-                                    if (isPinchingRef.current && prevPinchRef.current) {
-                                        const deltaX = pinchX - prevPinchRef.current.x;
-                                        const sensitivity = 10;
-                                        modelRef.current.rotation.y -= deltaX * sensitivity; // Horizontal rotation only
-                                    }
-                                    prevPinchRef.current = { x: pinchX, y: pinchY };
-                                } else {
-                                    prevPinchRef.current = null;
-                                }
-                                isPinchingRef.current = isPinching;
-                            } else {
-                                isPinchingRef.current = false;
-                                prevPinchRef.current = null;
-                            }
-                        }
+                        const result = handLandmarker.detectForVideo(video, now);
+                        const hands = result.landmarks ?? [];
+                        const handedness = (result.handedness ?? []).map(
+                            (categories) => categories[0]?.categoryName ?? null,
+                        );
+                        handleHandResult(hands, handedness, now);
+                        sessionRecorderRef.current?.addHands(now, hands, handedness);
                     }
 
 					requestRef.current = requestAnimationFrame(predictWebcam);
@@ -493,52 +962,332 @@ export function App() {
 				predictWebcam();
 			} catch (err) {
 				console.error("Tracking init error:", err);
+				if (!cancelled) setTrackingStatus(getCameraErrorStatus(err));
 			}
 		};
 
 		initTracking();
 
 		return () => {
+			cancelled = true;
             if (requestRef.current) {
                 cancelAnimationFrame(requestRef.current);
+                requestRef.current = null;
             }
             if (video.srcObject) {
                 const tracks = video.srcObject.getTracks();
                 tracks.forEach(t => t.stop());
+                video.srcObject = null;
             }
-            if (faceLandmarkerRef.current) {
-                faceLandmarkerRef.current.close();
-            }
-             if (handLandmarkerRef.current) {
-                handLandmarkerRef.current.close();
-            }
+            resetTrackingResults();
+            if (sessionRecorderRef.current) stopSessionRecording();
+		};
+	}, [trackingEnabled, cameraDeviceId, trackingReplay]);
+
+	useEffect(() => {
+		calibrationRef.current = calibration;
+	}, [calibration]);
+
+	useEffect(() => {
+		filterSettingsRef.current = filterSettings;
+		saveFilterSettings(filterSettings);
+	}, [filterSettings]);
+
+	useEffect(() => {
+		gestureSettingsRef.current = gestureSettings;
+		saveGestureSettings(gestureSettings);
+	}, [gestureSettings]);
+
+	useEffect(() => {
+		sceneStyleRef.current = sceneStyle;
+	}, [sceneStyle]);
+
+	useEffect(() => {
+		groundingRef.current = grounding;
+		saveGroundingSettings(grounding);
+	}, [grounding]);
+
+	useEffect(() => {
+		saveCaptureSettings(captureSettings);
+	}, [captureSettings]);
+
+	useEffect(() => {
+		framingRef.current = framing;
+	}, [framing]);
+
+	// Re-frame the model when the framing mode, floor snapping or (for
+	// real-world size) the calibration changes
+	useEffect(() => {
+		const model = modelRef.current;
+		if (!model) return;
+		reframeModel(model, dimsRef.current, getFramingOptions());
+		setViewState(getViewState(model));
+	}, [framing, grounding.snapToFloor, calibration]);
+
+	useEffect(() => {
+		activeAnimIndexRef.current = activeAnimIndex;
+	}, [activeAnimIndex]);
+
+	// Outliner visibility and isolation
+	useEffect(() => {
+		if (!sceneTree) return;
+		applyNodeVisibility(sceneTree, hiddenNodes, isolatedNode);
+		contactShadowsRef.current?.invalidate();
+	}, [sceneTree, hiddenNodes, isolatedNode]);
+
+	// Highlight the selected node in the viewport
+	useEffect(() => {
+		if (!selectedNode) return;
+		const scene = sceneRef.current;
+		const highlight = createSelectionHighlight(selectedNode.object);
+		scene.add(highlight);
+		selectionHighlightRef.current = highlight;
+		return () => {
+			scene.remove(highlight);
+			highlight.dispose();
+			selectionHighlightRef.current = null;
+		};
+	}, [selectedNode]);
+
+	useEffect(() => {
+		renderDebugRef.current = renderDebug;
+	}, [renderDebug]);
+
+	// Vertex normal / tangent helpers for the loaded model
+	const { vertexNormals, vertexTangents } = renderDebug;
+	useEffect(() => {
+		if (!sceneTree || (!vertexNormals && !vertexTangents)) return;
+		const scene = sceneRef.current;
+		const helpers = createVertexHelpers(sceneTree.object, {
+			normals: vertexNormals,
+			tangents: vertexTangents,
+			size: FIXED_HEIGHT * 0.02,
+		});
+		scene.add(helpers.object);
+		vertexHelpersRef.current = helpers;
+		return () => {
+			scene.remove(helpers.object);
+			helpers.dispose();
+			vertexHelpersRef.current = null;
 		};
+	}, [sceneTree, vertexNormals, vertexTangents]);
+
+	useEffect(() => {
+		clippingSettingsRef.current = clipping;
+	}, [clipping]);
+
+	// Dragging a section plane handle moves the plane instead of the model
+	const clippingHandlesShown =
+		clipping.handles && clipping.planes.some((plane) => plane.enabled);
+	useEffect(() => {
+		const container = containerRef.current;
+		if (!container || !clippingHandlesShown) return;
+
+		const raycaster = new THREE.Raycaster();
+		const pointer = new THREE.Vector2();
+		const castRay = (e) => {
+			const rect = container.getBoundingClientRect();
+			pointer.set(
+				((e.clientX - rect.left) / rect.width) * 2 - 1,
+				-((e.clientY - rect.top) / rect.height) * 2 + 1,
+			);
+			raycaster.setFromCamera(pointer, cameraRef.current);
+			return raycaster;
+		};
+
+		let stopDrag = null;
+		const handlePointerDown = (e) => {
+			if (e.button !== 0 || stopDrag) return;
+			const index = clippingRef.current?.pickHandle(castRay(e));
+			if (index === null || index === undefined) return;
+			e.stopImmediatePropagation();
+
+			const drag = clippingRef.current.beginDrag(index, raycaster);
+			const handlePointerMove = (move) => {
+				const offset = drag(castRay(move).ray);
+				setClipping((current) => ({
+					...current,
+					planes: current.planes.map((plane, i) =>
+						i === index ? { ...plane, offset } : plane,
+					),
+				}));
+			};
+			stopDrag = () => {
+				window.removeEventListener("pointermove", handlePointerMove);
+				window.removeEventListener("pointerup", stopDrag);
+				window.removeEventListener("pointercancel", stopDrag);
+				stopDrag = null;
+			};
+			window.addEventListener("pointermove", handlePointerMove);
+			window.addEventListener("pointerup", stopDrag);
+			window.addEventListener("pointercancel", stopDrag);
+		};
+
+		container.addEventListener("pointerdown", handlePointerDown, { capture: true });
+		return () => {
+			container.removeEventListener("pointerdown", handlePointerDown, { capture: true });
+			stopDrag?.();
+		};
+	}, [clippingHandlesShown]);
+
+	useEffect(() => {
+		annotationLayerRef.current?.setAnnotations(annotations);
+	}, [annotations]);
+
+	useEffect(() => {
+		annotationLayerRef.current?.setMeasurement(measurePoints, !!modelGltf);
+	}, [measurePoints, modelGltf]);
+
+	// Measure / annotate tools: a click (not a drag) picks a point on the model
+	useEffect(() => {
+		const container = containerRef.current;
+		if (!measureTool || !container) return;
+
+		let down = null;
+		const handlePointerDown = (e) => {
+			down = { x: e.clientX, y: e.clientY };
+		};
+		const handleClick = (e) => {
+			const model = modelRef.current;
+			if (!model || !down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) {
+				return;
+			}
+			const anchor = pickSurface(model, cameraRef.current, container, e.clientX, e.clientY);
+			if (!anchor) return;
+
+			if (measureTool === "measure") {
+				setMeasurePoints((points) => (points.length >= 2 ? [anchor] : [...points, anchor]));
+			} else {
+				setAnnotations((list) => [...list, { text: "", ...anchor }]);
+			}
+		};
+		// Picking two points quickly shouldn't reset the view
+		const handleDoubleClick = (e) => e.stopImmediatePropagation();
+
+		container.classList.add("picking");
+		container.addEventListener("pointerdown", handlePointerDown);
+		container.addEventListener("click", handleClick);
+		container.addEventListener("dblclick", handleDoubleClick, { capture: true });
+		return () => {
+			container.classList.remove("picking");
+			container.removeEventListener("pointerdown", handlePointerDown);
+			container.removeEventListener("click", handleClick);
+			container.removeEventListener("dblclick", handleDoubleClick, { capture: true });
+		};
+	}, [measureTool]);
+
+	// Face puppet on / off, releasing its targets when turned off
+	useEffect(() => {
+		facePuppetRef.current = facePuppet;
+		puppetBindingsRef.current = puppetBindings;
+		if (!facePuppet) return;
+		return () => clearFaceBlendshapes(puppetBindings);
+	}, [facePuppet, puppetBindings]);
+
+	// Playback state onto the animation controller (recreated per model)
+	useEffect(() => {
+		const controller = animationRef.current;
+		if (!controller) return;
+		controller.setPlaying(isPlaying);
+		controller.setSpeed(playback.speed);
+		controller.setLoop(playback.loop);
+	}, [animations, isPlaying, playback]);
+
+	useEffect(() => {
+		savePlaybackSettings(playback);
+	}, [playback]);
+
+	useEffect(() => {
+		lightingRigRef.current?.apply(lighting);
+	}, [lighting]);
+
+	// Mirror the shareable state into the address bar, once the link's own
+	// state is applied so a failed or interrupted first load doesn't lose it
+	useEffect(() => {
+		if (!urlStateApplied) return;
+		replaceUrl(
+			buildStateUrl({
+				modelUrl: modelAssets ? null : modelSource,
+				annotationsUrl,
+				animation:
+					activeAnimIndex !== null && animations[activeAnimIndex]
+						? { clip: getAnimationParam(animations, activeAnimIndex) }
+						: null,
+				viewState,
+				framing,
+				lighting,
+				sceneStyle,
+				trackingEnabled,
+			}),
+		);
+	}, [
+		urlStateApplied,
+		modelSource,
+		modelAssets,
+		annotationsUrl,
+		animations,
+		activeAnimIndex,
+		viewState,
+		framing,
+		lighting,
+		sceneStyle,
+		trackingEnabled,
+	]);
+
+	// Keep the camera list current as devices are plugged in or removed
+	useEffect(() => {
+		const mediaDevices = navigator.mediaDevices;
+		if (!mediaDevices?.addEventListener) return;
+
+		const refresh = () => listCameras().then(setCameras);
+		refresh();
+		mediaDevices.addEventListener("devicechange", refresh);
+		return () => mediaDevices.removeEventListener("devicechange", refresh);
 	}, []);
 
 	// Load Model
 	useEffect(() => {
 		if (!modelSource || !sceneRef.current || !cameraRef.current) {
+			if (!modelSource) setUrlStateApplied(true);
 			setMetadata(null);
+			setModelStats(null);
+			setViewState(null);
 			setAnimations([]);
 			setActiveAnimIndex(null);
 			return;
 		}
 
 		setStatus("loading");
+		let cancelled = false;
 
 		// Track texture loading errors
 		const textureErrors = [];
+		const unresolved = new Set();
 		const loadingManager = new THREE.LoadingManager();
 
+		// Fires once every request (including failed ones) has finished
+		const loadsSettled = new Promise((resolve) => {
+			loadingManager.onLoad = resolve;
+		});
+
 		loadingManager.onError = (url) => {
-			// Extract filename from URL
-			const filename = url.split('/').pop().split('\\').pop();
+			// Extract filename from URL (mapping blob URLs back to their file)
+			const source = modelAssets?.pathFor(url) ?? url;
+			const filename = source.split('/').pop().split('\\').pop();
 			if (!textureErrors.includes(filename)) {
 				textureErrors.push(filename);
 			}
 		};
 
-		const loader = new GLTFLoader(loadingManager);
+		// Resolve .bin, .mtl and texture URIs against the dropped file set
+		if (modelAssets) {
+			loadingManager.setURLModifier(
+				createAssetUrlModifier(modelAssets, (path) => {
+					unresolved.add(path);
+					setUnresolvedAssets(Array.from(unresolved));
+				}),
+			);
+		}
 
         // 1. CLEAR PREVIOUS MODEL - Immediate Cleanup
 		if (modelRef.current) {
@@ -546,137 +1295,448 @@ export function App() {
 			disposeModel(modelRef.current);
 			modelRef.current = null;
 		}
+		renderModesRef.current?.clear();
 
 		// Reset Mixer and Textures
-		mixerRef.current = null;
-		actionsRef.current = [];
+		animationRef.current?.dispose();
+		animationRef.current = null;
 		setAnimations([]);
 		setActiveAnimIndex(null);
 		setIsPlaying(false);
+		setClipWeights({});
+		setMorphMeshes([]);
+		setPuppetBindings([]);
+		setModelStats(null);
+		setSceneTree(null);
+		setHiddenNodes(new Set());
+		setIsolatedNode(null);
+		setSelectedNode(null);
+		setModelGltf(null);
+		setMaterials([]);
+		setMaterialVariants([]);
+		setActiveVariant(null);
+		setDimensions(null);
+		setMeasureTool(null);
+		setMeasurePoints([]);
+		setAnnotations([]);
+		setAnnotationsUrl(null);
 		setMissingTextures([]);
+		setUnresolvedAssets([]);
 		materialsNeedingTexturesRef.current = [];
 
-		loader.load(
-			modelSource,
-			(gltf) => {
-				const model = gltf.scene;
-                
-                // 2. DOUBLE CHECK - Before adding, ensure we didn't start loading another model in parallel
-                if (modelSource !== getModelUrl() && !modelName.includes("URL")) {
-                     // This is a naive check (checking current URL param vs closure).
-                     // Better: check if we are still the active request?
-                     // For simplicity: We will trust the React effect cleanup has run if source changed.
-                     // But we must ensure we remove any *other* model that might have snuck in (unlikely with this effect structure).
-                     if (modelRef.current) {
-                         sceneRef.current.remove(modelRef.current);
-                         disposeModel(modelRef.current);
-                     }
-                } else if (modelRef.current) {
-                     // If we already have a model ref (maybe from a race condition?), remove it.
-                     sceneRef.current.remove(modelRef.current);
-                     disposeModel(modelRef.current);
-                }
+		loadModel({
+			url: modelAssets ? modelAssets.rootPath : modelSource,
+			name: modelName,
+			manager: loadingManager,
+			renderer: rendererRef.current,
+		})
+			.then(({ scene: model, animations: clips, gltf }) => {
+				// A newer model was requested while this one loaded
+				if (cancelled) {
+					disposeModel(model);
+					return;
+				}
+
+				// Meshes cast and receive the key light's shadow
+				model.traverse((child) => {
+					if (child.isMesh) {
+						child.castShadow = true;
+						child.receiveShadow = true;
+					}
+				});
 
 				sceneRef.current.add(model);
 				modelRef.current = model;
-				frameObject(
-					model,
-					dimsRef.current.width,
-					dimsRef.current.height,
-					dimsRef.current.depth,
-				);
+				frameModel(model, dimsRef.current, getFramingOptions());
+				if (initialViewStateRef.current) {
+					applyViewState(model, initialViewStateRef.current);
+					initialViewStateRef.current = null;
+				}
+				setViewState(getViewState(model));
 				setStatus("ready");
 
-				// Metadata
-				setMetadata(getModelMetadata(model, modelName));
-
-				// Animations
-				if (gltf.animations && gltf.animations.length > 0) {
-					setAnimations(gltf.animations);
-					const mixer = new THREE.AnimationMixer(model);
-					mixerRef.current = mixer;
-
-					// Create actions for all clips
-					actionsRef.current = gltf.animations.map((clip) =>
-						mixer.clipAction(clip),
-					);
+				// Metadata, statistics and validation
+				const stats = getModelStats(model, gltf ?? null, clips);
+				setMetadata(getModelMetadata(stats, modelName));
+				setModelStats({ stats, issues: validateModel(model, gltf ?? null) });
+
+				// Outliner
+				const tree = buildSceneTree(model);
+				setSceneTree(tree);
+				setHiddenNodes(getHiddenNodes(tree));
+
+				// Materials and their glTF variants
+				setModelGltf(gltf ?? null);
+				setMaterials(collectMaterials(model));
+				setMaterialVariants(getMaterialVariants(gltf));
+
+				// Dimensions before framing, and linked annotations (first model only)
+				setDimensions(getModelDimensions(model));
+				const linkedAnnotations = initialAnnotationsUrlRef.current;
+				initialAnnotationsUrlRef.current = null;
+				if (linkedAnnotations) {
+					fetch(linkedAnnotations)
+						.then((response) => {
+							if (!response.ok) throw new Error(`HTTP ${response.status}`);
+							return response.json();
+						})
+						.then((json) => {
+							if (modelRef.current !== model) return;
+							setAnnotations(parseAnnotationsFile(json));
+							setAnnotationsUrl(linkedAnnotations);
+						})
+						.catch((error) => console.error("Failed to load annotations:", error))
+						.finally(() => setUrlStateApplied(true));
+				} else {
+					setUrlStateApplied(true);
 				}
 
-				// Check for missing textures using LoadingManager errors
-				// Wait a bit for async texture loads to complete/fail
-				setTimeout(() => {
-					if (textureErrors.length > 0) {
-						// Find which materials need these textures
-						const materialInfo = [];
-						model.traverse((child) => {
-							if (child.isMesh && child.material) {
-								const materials = Array.isArray(child.material) ? child.material : [child.material];
-								materials.forEach((material) => {
-									// Add all materials to the list for each failed texture
-									// (most models have few materials, so this is fine)
-									textureErrors.forEach((filename) => {
-										// Add entry for 'map' type (most common for colormap)
-										materialInfo.push({
-											material,
-											mapType: 'map',
-											expectedFilename: filename,
-											originalPath: filename
-										});
-									});
-								});
-							}
-						});
-						materialsNeedingTexturesRef.current = materialInfo;
-						setMissingTextures(textureErrors);
+				// Morph targets, and those the face puppet can drive
+				const morphs = collectMorphTargets(model);
+				setMorphMeshes(morphs);
+				setPuppetBindings(bindFaceBlendshapes(morphs));
+
+				// Animations
+				if (clips.length > 0) {
+					// A "once" primary clip pauses playback when it ends
+					const controller = createAnimationController(model, clips, (index) => {
+						if (index === activeAnimIndexRef.current) setIsPlaying(false);
+					});
+					animationRef.current = controller;
+					setAnimations(clips);
+
+					// Linked animation and time, for the first model only
+					const linked = initialAnimationRef.current;
+					const index = linked ? findAnimationIndex(clips, linked.clip) : -1;
+					if (index !== -1) {
+						controller.start(index, 1, 0);
+						controller.seek(index, linked.time);
+						setActiveAnimIndex(index);
+						setClipWeights({ [index]: 1 });
+						setIsPlaying(true);
 					}
-				}, 200);
-			},
-			undefined,
-			(error) => {
+				}
+				initialAnimationRef.current = null;
+
+				// Check for missing textures once the LoadingManager has settled,
+				// recording the exact material slot each failed image belongs to
+				// (glTF only, other formats have no JSON to map slots from)
+				loadsSettled.then(() => {
+					if (modelRef.current !== model) return;
+
+					const slots = findMissingTextureSlots(gltf, textureErrors);
+					materialsNeedingTexturesRef.current = slots;
+					setMissingTextures(
+						Array.from(new Set(slots.map((entry) => entry.expectedFilename))),
+					);
+				});
+			})
+			// Load failures and errors setting up the loaded model alike
+			.catch((error) => {
+				if (cancelled) return;
 				console.error("Failed to load model:", error);
 				setStatus("error");
-			},
-		);
-        
-        // CLEANUP FUNCTION for the effect itself
-        return () => {
-            // If the component unmounts or modelSource changes while loading,
-            // we can't easily cancel GLTFLoader (it doesn't return abort controller easily).
-            // But we CAN ensure that if a model arrives later, we don't use it, OR if we have one, we remove it.
-            // However, doing it here might remove the *newly* loaded model if the effect re-runs.
-            // The synchronous cleanup at the start of the effect is usually safer for "switching" models.
-        };
-	}, [modelSource, modelName]);
+			});
+
+		// The loaders can't be aborted, so a load that lands after the source
+		// changed (or the viewer unmounted) is dropped when it arrives. The
+		// glTF's KTX2 loader stays up while the model is shown, material
+		// variants load their textures through it.
+		return () => {
+			cancelled = true;
+			releaseGLTFLoader(loadingManager);
+		};
+	}, [modelSource, modelName, modelAssets]);
+
+	// Release the blob URLs of a file set once it is replaced
+	useEffect(() => {
+		return () => modelAssets?.dispose();
+	}, [modelAssets]);
 
 	// Handlers
+	const openAssetSet = (entries) => {
+		const assets = createAssetSet(entries);
+		if (!assets) return false;
+
+		setModelAssets(assets);
+		setModelSource(assets.rootUrl);
+		setModelName(assets.rootName);
+		return true;
+	};
+
 	const handleFileSelect = (e) => {
-		const file = e.target.files[0];
-		if (
-			file &&
-			(file.name.toLowerCase().endsWith(".glb") ||
-				file.name.toLowerCase().endsWith(".gltf"))
-		) {
-			const url = URL.createObjectURL(file);
-			setModelSource(url);
-			setModelName(file.name);
+		openAssetSet(collectSelectedFiles(e.target.files));
+		e.target.value = "";
+	};
+
+	const handleVariantChange = (index) => {
+		const model = modelRef.current;
+		setActiveVariant(index);
+		selectMaterialVariant(modelGltf, index)
+			.then(() => {
+				if (modelRef.current === model) setMaterials(collectMaterials(model));
+			})
+			.catch((error) => console.error("Failed to switch material variant:", error));
+	};
+
+	const measuredDistance =
+		measurePoints.length === 2 && modelRef.current
+			? getAnchorDistance(modelRef.current, measurePoints[0], measurePoints[1])
+			: null;
+
+	const exportAnnotations = () => {
+		const file = createAnnotationsFile(annotations, modelAssets ? null : modelSource);
+		const blob = new Blob([JSON.stringify(file, null, "\t")], {
+			type: "application/json",
+		});
+		downloadBlob(blob, getExportName(modelName, "annotations.json"));
+	};
+
+	// Capture size for an output `height`, at the viewport's aspect
+	const getViewportCaptureSize = (height) => {
+		const container = containerRef.current;
+		return getCaptureSize(
+			container.clientWidth,
+			container.clientHeight,
+			height,
+			captureSettings.supersampling,
+			rendererRef.current.capabilities.maxTextureSize,
+		);
+	};
+
+	const takeScreenshot = () => {
+		const capture = captureRef.current;
+		if (!capture || recordingProgress !== null) return;
+
+		const size = getViewportCaptureSize(
+			containerRef.current.clientHeight * captureSettings.scale,
+		);
+		const context = createCaptureContext(size.width, size.height);
+		capture.start({
+			width: size.renderWidth,
+			height: size.renderHeight,
+			transparent: captureSettings.transparent,
+		});
+		try {
+			capture.draw(context);
+		} finally {
+			capture.end();
+		}
+		canvasToBlob(context.canvas)
+			.then((blob) => downloadBlob(blob, getExportName(modelName, "png")))
+			.catch((error) => {
+				console.error("Failed to save screenshot:", error);
+				alert("Couldn't save the screenshot.");
+			});
+	};
+
+	// Records a turntable revolution, or one cycle of clip `clipIndex`, posing
+	// the model for each frame from its index
+	const recordCapture = async (clipIndex) => {
+		const capture = captureRef.current;
+		const model = modelRef.current;
+		if (!capture || !model || recordingProgress !== null) return;
+
+		const { fps, duration, videoHeight } = captureSettings;
+		const controller = animationRef.current;
+		const clip = clipIndex !== null ? animations[clipIndex] : null;
+		const frameCount = Math.max(1, Math.round((clip ? clip.duration : duration) * fps));
+		const view = getViewState(model);
+		if (!clip && !view) return;
+
+		const size = getViewportCaptureSize(videoHeight);
+		const context = createCaptureContext(size.width, size.height);
+		const turn = new THREE.Quaternion();
+		const up = new THREE.Vector3(0, 1, 0);
+
+		const drawFrame = (frame) => {
+			if (clip) {
+				controller.seek(clipIndex, frame / fps);
+			} else {
+				applyViewState(model, view);
+				rotateModel(model, turn.setFromAxisAngle(up, (frame / frameCount) * Math.PI * 2));
+			}
+			capture.draw(context);
+		};
+
+		const abort = new AbortController();
+		recordingAbortRef.current = abort;
+		setRecordingProgress(0);
+		// The clips playing before, restored afterwards like the view
+		const animationState = clip ? controller.snapshot() : null;
+		if (clip) {
+			controller.stopAll(0);
+			controller.start(clipIndex, 1, 0);
+		}
+		capture.start({ width: size.renderWidth, height: size.renderHeight, transparent: false });
+
+		try {
+			const blob = await recordVideo({
+				context,
+				fps,
+				frameCount,
+				drawFrame,
+				onProgress: setRecordingProgress,
+				signal: abort.signal,
+			});
+			if (blob) downloadBlob(blob, getExportName(modelName, "webm"));
+		} catch (error) {
+			console.error("Recording failed:", error);
+			alert(`Recording failed: ${error.message}`);
+		} finally {
+			capture.end();
+			if (clip) {
+				controller.restore(animationState);
+			} else {
+				applyViewState(model, view);
+			}
+			recordingAbortRef.current = null;
+			setRecordingProgress(null);
+		}
+	};
+
+	// Recounts after material or texture edits
+	const refreshStats = () => {
+		const model = modelRef.current;
+		if (!model) return;
+		setModelStats({
+			stats: getModelStats(model, modelGltf, animations),
+			issues: validateModel(model, modelGltf),
+		});
+	};
+
+	const exportStats = () => {
+		const report = createStatsReport(modelStats.stats, modelStats.issues, modelName);
+		const blob = new Blob([JSON.stringify(report, null, "\t")], {
+			type: "application/json",
+		});
+		downloadBlob(blob, getExportName(modelName, "stats.json"));
+	};
+
+	const importAnnotations = (file) => {
+		file
+			.text()
+			.then((text) => {
+				setAnnotations(parseAnnotationsFile(JSON.parse(text)));
+				setAnnotationsUrl(null);
+			})
+			.catch((error) => {
+				console.error("Failed to import annotations:", error);
+				alert(`Couldn't read annotations from ${file.name}.`);
+			});
+	};
+
+	const toggleNodeHidden = (id) => {
+		setHiddenNodes((value) => {
+			const next = new Set(value);
+			if (next.has(id)) {
+				next.delete(id);
+			} else {
+				next.add(id);
+			}
+			return next;
+		});
+	};
+
+	const handleViewStateChange = (state) => {
+		if (!modelRef.current) return;
+		applyViewState(modelRef.current, state);
+		setViewState(state);
+	};
+
+	// Settings that can come from URL params are saved only on edits, so
+	// a linked state doesn't overwrite the saved one
+	const handleSceneStyleChange = (style) => {
+		setSceneStyle(style);
+		saveSceneStyle(style);
+	};
+
+	const handleFramingChange = (settings) => {
+		setFraming(settings);
+		saveFramingSettings(settings);
+	};
+
+	const handleLightingChange = (settings) => {
+		setLighting(settings);
+		saveLightingSettings(settings);
+	};
+
+	// Copies a link to the current state, including the animation time
+	const copyLink = () => {
+		const url = buildStateUrl({
+			modelUrl: modelAssets ? null : modelSource,
+			annotationsUrl,
+			animation:
+				activeAnimIndex !== null
+					? {
+							clip: getAnimationParam(animations, activeAnimIndex),
+							time: animationRef.current.getTime(activeAnimIndex),
+						}
+					: null,
+			viewState,
+			framing,
+			lighting,
+			sceneStyle,
+			trackingEnabled,
+		});
+		const showStatus = (value) => {
+			setLinkStatus(value);
+			setTimeout(() => setLinkStatus(null), 1500);
+		};
+		// The clipboard needs a secure origin, permission and focus; without
+		// it, show the link to copy by hand
+		const copyFailed = (error) => {
+			if (error) console.warn("Failed to copy link:", error);
+			showStatus("failed");
+			window.prompt("Copy this link:", url);
+		};
+		if (!navigator.clipboard) {
+			copyFailed();
+			return;
 		}
+		navigator.clipboard
+			.writeText(url)
+			.then(() => showStatus("copied"))
+			.catch(copyFailed);
+	};
+
+	const openEnvironmentFile = (file) => {
+		lightingRigRef.current
+			?.loadEnvironmentFile(file)
+			.then(() => {
+				setCustomEnvironment({ name: file.name });
+				// A new object each load, so reloading the same file re-applies
+				setLighting((value) => ({ ...value, environment: "custom" }));
+			})
+			.catch((error) => {
+				console.error(`Failed to load environment ${file.name}:`, error);
+				alert(`Failed to load environment map ${file.name}`);
+			});
 	};
 
 	const handleDragOver = (e) => e.preventDefault();
-	const handleDrop = (e) => {
+	const handleDrop = async (e) => {
 		e.preventDefault();
-		const file = e.dataTransfer.files[0];
-		if (
-			file &&
-			(file.name.toLowerCase().endsWith(".glb") ||
-				file.name.toLowerCase().endsWith(".gltf"))
-		) {
-			const url = URL.createObjectURL(file);
-			setModelSource(url);
-			setModelName(file.name);
-		} else {
-			alert("Please drop a valid .glb or .gltf file");
+		let entries;
+		try {
+			entries = await collectDroppedFiles(e.dataTransfer);
+		} catch (error) {
+			// Unreadable entries: permissions, or files gone since the drag began
+			console.error("Failed to read dropped files:", error);
+			setStatus("error");
+			return;
+		}
+		if (openAssetSet(entries)) return;
+
+		// No model: a dropped .hdr/.exr becomes the environment map
+		const environment = entries.find(({ path }) => isEnvironmentFile(path));
+		if (environment) {
+			openEnvironmentFile(environment.file);
+			return;
 		}
+		alert(
+			`Please drop a supported model (${MODEL_EXTENSIONS.join(", ")}), a folder containing one, or an .hdr/.exr environment map`,
+		);
 	};
 
 	const handleTextureSelect = (e) => {
@@ -695,17 +1755,7 @@ export function App() {
 			textureLoader.load(
 				url,
 				(texture) => {
-					// Set proper color space for color maps (base color textures)
-					// This is critical for correct color rendering in Three.js
-					texture.colorSpace = THREE.SRGBColorSpace;
-
-					// Common texture settings
-					texture.flipY = false; // GLTF textures are not flipped
-					texture.wrapS = THREE.RepeatWrapping;
-					texture.wrapT = THREE.RepeatWrapping;
-
-					texture.needsUpdate = true;
-
+					// Color space and sampling are set per material slot when applied
 					loadedTextures.set(filename, texture);
 					loadedCount++;
 
@@ -730,18 +1780,12 @@ export function App() {
 		let appliedCount = 0;
 		const stillMissing = new Set(missingTextures);
 
-		materialsNeedingTexturesRef.current.forEach(({ material, mapType, expectedFilename }) => {
-			const texture = loadedTextures.get(expectedFilename);
+		materialsNeedingTexturesRef.current.forEach((entry) => {
+			const texture = loadedTextures.get(entry.expectedFilename);
 			if (texture) {
-				material[mapType] = texture;
-
-				// If applying a color map, ensure material color is white (not gray/dark)
-				if (mapType === 'map' && material.color) {
-					material.color.setHex(0xffffff);
-				}
-
-				material.needsUpdate = true;
-				stillMissing.delete(expectedFilename);
+				// Slot-specific color space, UV channel and wrapping
+				applyTextureToSlot(entry, texture);
+				stillMissing.delete(entry.expectedFilename);
 				appliedCount++;
 			}
 		});
@@ -762,32 +1806,92 @@ export function App() {
 		}
 	};
 
-	const playAnimation = (index) => {
-		if (!mixerRef.current) return;
+	const handleCalibrationSave = (value) => {
+		saveCalibration(value);
+		setCalibration(value);
+		setShowCalibration(false);
+	};
+
+	const handleCalibrationReset = () => {
+		clearCalibration();
+		setCalibration({ ...DEFAULT_CALIBRATION });
+		setShowCalibration(false);
+	};
 
-		const action = actionsRef.current[index];
-		const currentAction =
-			activeAnimIndex !== null ? actionsRef.current[activeAnimIndex] : null;
+	// Makes a clip the primary, crossfading from the previous primary. A
+	// layered clip is promoted without restarting.
+	const playAnimation = (index) => {
+		const controller = animationRef.current;
+		if (!controller) return;
 
-		if (currentAction && currentAction !== action) {
-			currentAction.fadeOut(0.5);
+		const weights = { ...clipWeights };
+		if (activeAnimIndex !== null && activeAnimIndex !== index) {
+			controller.stop(activeAnimIndex, playback.crossfade);
+			delete weights[activeAnimIndex];
+		}
+		if (weights[index] === undefined || index === activeAnimIndex) {
+			controller.start(index, 1, playback.crossfade);
+			weights[index] = 1;
 		}
 
-		if (action) {
-			action.reset().fadeIn(0.5).play();
-			setActiveAnimIndex(index);
-			setIsPlaying(true);
+		setClipWeights(weights);
+		setActiveAnimIndex(index);
+		setIsPlaying(true);
+	};
+
+	const togglePlayback = () => {
+		if (activeAnimIndex === null) {
+			playAnimation(0);
+			return;
 		}
+		// Replay a finished "once" clip from the start
+		if (!isPlaying && animationRef.current.isFinished(activeAnimIndex)) {
+			animationRef.current.start(
+				activeAnimIndex,
+				clipWeights[activeAnimIndex] ?? 1,
+				0,
+			);
+		}
+		setIsPlaying(!isPlaying);
 	};
 
 	const stopAnimation = () => {
-		if (activeAnimIndex !== null && actionsRef.current[activeAnimIndex]) {
-			actionsRef.current[activeAnimIndex].fadeOut(0.5);
-		}
+		animationRef.current?.stopAll(playback.crossfade);
+		setClipWeights({});
 		setActiveAnimIndex(null);
 		setIsPlaying(false);
 	};
 
+	const seekAnimation = (time) => {
+		if (activeAnimIndex === null) return;
+		animationRef.current.seek(activeAnimIndex, time);
+	};
+
+	const setAnimationLayer = (index, layered) => {
+		const controller = animationRef.current;
+		const weights = { ...clipWeights };
+		// Fades only progress while playing
+		const fade = isPlaying ? playback.crossfade : 0;
+		if (layered) {
+			controller.start(index, 1, fade);
+			weights[index] = 1;
+		} else {
+			controller.stop(index, fade);
+			delete weights[index];
+		}
+		setClipWeights(weights);
+	};
+
+	const setAnimationWeight = (index, weight) => {
+		animationRef.current.setWeight(index, weight);
+		setClipWeights((weights) => ({ ...weights, [index]: weight }));
+	};
+
+	const getAnimationTime = useCallback(
+		(index) => animationRef.current?.getTime(index) ?? 0,
+		[],
+	);
+
 	return (
 		<div
 			className="app font-sans"
@@ -811,7 +1915,8 @@ export function App() {
 				ref={fileInputRef}
 				onChange={handleFileSelect}
 				className="hidden"
-				accept=".glb,.gltf"
+				accept={[...MODEL_EXTENSIONS, ".bin", ".mtl", "image/*"].join(",")}
+				multiple
 			/>
 
 			<input
@@ -823,107 +1928,243 @@ export function App() {
 				multiple
 			/>
 
-			{/* Left Panel: Metadata */}
-			<div className="absolute top-4 left-4 w-64 bg-black/50 backdrop-blur-md border border-white/10 rounded-lg p-4 text-white shadow-xl transition-opacity duration-300">
-				<div className="flex items-center gap-2 mb-4">
-					<Box className="w-5 h-5 text-blue-400" />
-					<h2 className="font-semibold text-sm uppercase tracking-wider">
-						Model Info
-					</h2>
-				</div>
+			{/* Left Column: Metadata, Measure, Scene Graph and Materials */}
+			<div className="absolute top-4 left-4 w-64 flex flex-col gap-4 max-h-[calc(100vh-7rem)] overflow-y-auto custom-scrollbar">
+				<div className="bg-black/50 backdrop-blur-md border border-white/10 rounded-lg p-4 text-white shadow-xl transition-opacity duration-300">
+					<div className="flex items-center gap-2 mb-4">
+						<Box className="w-5 h-5 text-blue-400" />
+						<h2 className="font-semibold text-sm uppercase tracking-wider">
+							Model Info
+						</h2>
+					</div>
 
-				{metadata ? (
-					<div className="space-y-3 text-sm text-gray-300">
-						<div>
-							<span className="block text-xs text-gray-500 uppercase">
-								Name
-							</span>
-							<span className="font-medium text-white truncate block">
-								{metadata.name}
-							</span>
-						</div>
-						<div className="grid grid-cols-2 gap-2">
+					{metadata ? (
+						<div className="space-y-3 text-sm text-gray-300">
 							<div>
 								<span className="block text-xs text-gray-500 uppercase">
-									Vertices
+									Name
 								</span>
-								<span>{metadata.vertices}</span>
-							</div>
-							<div>
-								<span className="block text-xs text-gray-500 uppercase">
-									Triangles
+								<span className="font-medium text-white truncate block">
+									{metadata.name}
 								</span>
-								<span>{metadata.triangles}</span>
+							</div>
+							<div className="grid grid-cols-2 gap-2">
+								<div>
+									<span className="block text-xs text-gray-500 uppercase">
+										Vertices
+									</span>
+									<span>{metadata.vertices}</span>
+								</div>
+								<div>
+									<span className="block text-xs text-gray-500 uppercase">
+										Triangles
+									</span>
+									<span>{metadata.triangles}</span>
+								</div>
 							</div>
 						</div>
-					</div>
-				) : (
-					<div className="text-sm text-gray-500 italic py-2">
-						No model loaded.
-					</div>
-				)}
-
-				<button
-					onClick={() => fileInputRef.current?.click()}
-					className="mt-4 w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 active:bg-white/30 transition-colors py-2 px-3 rounded text-sm font-medium"
-				>
-					<FolderOpen className="w-4 h-4" />
-					Open File
-				</button>
-
-				{missingTextures.length > 0 && (
-					<button
-						onClick={() => textureFileInputRef.current?.click()}
-						className="mt-2 w-full flex items-center justify-center gap-2 bg-amber-500/20 hover:bg-amber-500/30 active:bg-amber-500/40 border border-amber-500/30 transition-colors py-2 px-3 rounded text-sm font-medium text-amber-200"
-					>
-						<FolderOpen className="w-4 h-4" />
-						Open Textures ({missingTextures.length})
-					</button>
-				)}
-			</div>
+					) : (
+						<div className="text-sm text-gray-500 italic py-2">
+							No model loaded.
+						</div>
+					)}
 
-			{/* Right Panel: Animations */}
-			{animations.length > 0 && (
-				<div className="absolute top-4 right-4 w-64 bg-black/50 backdrop-blur-md border border-white/10 rounded-lg p-4 text-white shadow-xl max-h-[80vh] flex flex-col">
-					<div className="flex items-center gap-2 mb-4 shrink-0">
-						<Play className="w-5 h-5 text-green-400" />
-						<h2 className="font-semibold text-sm uppercase tracking-wider">
-							Animations
-						</h2>
+					<div className="mt-4 flex gap-2">
+						<button
+							onClick={() => fileInputRef.current?.click()}
+							className="flex-1 flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 active:bg-white/30 transition-colors py-2 px-3 rounded text-sm font-medium"
+						>
+							<FolderOpen className="w-4 h-4" />
+							Open File
+						</button>
+						<button
+							onClick={copyLink}
+							className="flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 active:bg-white/30 transition-colors py-2 px-3 rounded text-sm font-medium"
+							title={
+								modelAssets
+									? "Copy link (local files aren't included)"
+									: "Copy link to this view"
+							}
+						>
+							{linkStatus === "copied" ? (
+								<Check className="w-4 h-4" />
+							) : linkStatus === "failed" ? (
+								<X className="w-4 h-4 text-red-400" />
+							) : (
+								<Link className="w-4 h-4" />
+							)}
+							{linkStatus === "copied"
+								? "Copied"
+								: linkStatus === "failed"
+									? "Copy failed"
+									: "Link"}
+						</button>
 					</div>
 
-					<div className="flex-1 overflow-y-auto space-y-1 pr-1 custom-scrollbar">
-						{animations.map((clip, idx) => (
-							<button
-								key={idx}
-								onClick={() => playAnimation(idx)}
-								className={clsx(
-									"w-full text-left px-3 py-2 rounded text-sm transition-all flex items-center gap-2",
-									activeAnimIndex === idx
-										? "bg-blue-500/20 text-blue-300 border border-blue-500/30"
-										: "hover:bg-white/5 text-gray-400 hover:text-white",
-								)}
-							>
-								<span className="truncate flex-1">{clip.name}</span>
-								{activeAnimIndex === idx && isPlaying && (
-									<div className="w-2 h-2 rounded-full bg-blue-400 animate-pulse" />
-								)}
-							</button>
-						))}
-					</div>
+					{unresolvedAssets.length > 0 && (
+						<div className="mt-4 rounded border border-amber-500/30 bg-amber-500/10 p-2 text-xs text-amber-200">
+							<span className="block uppercase text-amber-400/80 mb-1">
+								Unresolved files
+							</span>
+							<ul className="space-y-0.5">
+								{unresolvedAssets.map((path) => (
+									<li key={path} className="truncate" title={path}>
+										{path}
+									</li>
+								))}
+							</ul>
+						</div>
+					)}
 
-					<div className="mt-4 pt-3 border-t border-white/10 shrink-0 flex gap-2">
+					{missingTextures.length > 0 && (
 						<button
-							onClick={stopAnimation}
-							disabled={!isPlaying}
-							className="flex-1 flex items-center justify-center gap-2 bg-red-500/20 text-red-300 hover:bg-red-500/30 disabled:opacity-50 disabled:cursor-not-allowed py-2 rounded text-sm font-medium transition-colors"
+							onClick={() => textureFileInputRef.current?.click()}
+							className="mt-2 w-full flex items-center justify-center gap-2 bg-amber-500/20 hover:bg-amber-500/30 active:bg-amber-500/40 border border-amber-500/30 transition-colors py-2 px-3 rounded text-sm font-medium text-amber-200"
 						>
-							<Square className="w-4 h-4 fill-current" />
-							Stop
+							<FolderOpen className="w-4 h-4" />
+							Open Textures ({missingTextures.length})
 						</button>
-					</div>
+					)}
 				</div>
-			)}
+
+				{modelStats && (
+					<StatsPanel
+						stats={modelStats.stats}
+						issues={modelStats.issues}
+						onRefresh={refreshStats}
+						onExport={exportStats}
+					/>
+				)}
+
+				{metadata && (
+					<MeasurePanel
+						dimensions={dimensions}
+						metric={!!modelGltf}
+						tool={measureTool}
+						onToolChange={setMeasureTool}
+						measurePointCount={measurePoints.length}
+						distance={measuredDistance}
+						onClearMeasurement={() => setMeasurePoints([])}
+						annotations={annotations}
+						onAnnotationChange={(index, text) =>
+							setAnnotations((list) =>
+								list.map((entry, i) => (i === index ? { ...entry, text } : entry)),
+							)
+						}
+						onAnnotationRemove={(index) =>
+							setAnnotations((list) => list.filter((_, i) => i !== index))
+						}
+						onExport={exportAnnotations}
+						onImport={importAnnotations}
+					/>
+				)}
+
+				{sceneTree && (
+					<SceneGraphPanel
+						key={sceneTree.id}
+						tree={sceneTree}
+						hidden={hiddenNodes}
+						isolatedId={isolatedNode}
+						selected={selectedNode}
+						onToggleHidden={toggleNodeHidden}
+						onIsolate={setIsolatedNode}
+						onSelect={setSelectedNode}
+					/>
+				)}
+
+				{materials.length > 0 && (
+					<MaterialPanel
+						key={sceneTree?.id}
+						materials={materials}
+						variants={materialVariants}
+						activeVariant={activeVariant}
+						onVariantChange={handleVariantChange}
+						flipTextures={!modelGltf}
+					/>
+				)}
+			</div>
+
+			{/* Right Column: Animations, Morph Targets, Render Mode, View, Lighting and Scene */}
+			<div className="absolute top-4 right-4 w-64 flex flex-col gap-4 max-h-[60vh] overflow-y-auto custom-scrollbar">
+				{animations.length > 0 && (
+					<AnimationPanel
+						clips={animations}
+						activeIndex={activeAnimIndex}
+						isPlaying={isPlaying}
+						weights={clipWeights}
+						playback={playback}
+						onPlaybackChange={setPlayback}
+						onPlay={playAnimation}
+						onTogglePlay={togglePlayback}
+						onStop={stopAnimation}
+						onSeek={seekAnimation}
+						onLayerChange={setAnimationLayer}
+						onWeightChange={setAnimationWeight}
+						getTime={getAnimationTime}
+					/>
+				)}
+
+				{morphMeshes.length > 0 && (
+					<MorphTargetPanel
+						morphMeshes={morphMeshes}
+						puppet={facePuppet}
+						onPuppetChange={setFacePuppet}
+						trackingActive={trackingStatus === "active"}
+						matchedCount={countMatchedBlendshapes(puppetBindings)}
+						blendshapeCount={FACE_BLENDSHAPES.length}
+						onInfluenceChange={() => contactShadowsRef.current?.invalidate()}
+						onReset={() => {
+							setFacePuppet(false);
+							resetMorphTargets(morphMeshes);
+							contactShadowsRef.current?.invalidate();
+						}}
+					/>
+				)}
+
+				{metadata && (
+					<RenderModePanel settings={renderDebug} onChange={setRenderDebug} />
+				)}
+
+				{metadata && <ClippingPanel settings={clipping} onChange={setClipping} />}
+
+				{metadata && (
+					<ViewPanel
+						framing={framing}
+						onFramingChange={handleFramingChange}
+						viewState={viewState}
+						onViewStateChange={handleViewStateChange}
+						onReset={() => applyViewAction({ type: "reset" })}
+					/>
+				)}
+
+				<LightingPanel
+					settings={lighting}
+					onChange={handleLightingChange}
+					customEnvironmentName={customEnvironment?.name}
+					onEnvironmentFile={openEnvironmentFile}
+					grounding={grounding}
+					onGroundingChange={setGrounding}
+				/>
+
+				<SceneStylePanel
+					style={sceneStyle}
+					onChange={handleSceneStyleChange}
+				/>
+
+				{metadata && (
+					<CapturePanel
+						key={sceneTree?.id}
+						settings={captureSettings}
+						onChange={setCaptureSettings}
+						animations={animations}
+						activeAnimIndex={activeAnimIndex}
+						recordingProgress={recordingProgress}
+						onScreenshot={takeScreenshot}
+						onRecord={recordCapture}
+						onCancelRecording={() => recordingAbortRef.current?.abort()}
+					/>
+				)}
+			</div>
 
 			{status === "loading" && (
 				<div className="placeholder animate-pulse">{statusCopy[status]}</div>
@@ -932,14 +2173,64 @@ export function App() {
 			{status === "idle" && (
 				<div className="placeholder text-center">
 					<p className="mb-2">{statusCopy.idle}</p>
-					<p className="text-sm opacity-50">
-						Use pinch gesture to rotate model
-					</p>
+					{(trackingStatus === "active" || trackingStatus === "no-face") && (
+						<p className="text-sm opacity-50">
+							Pinch to rotate, two-hand pinch to scale, open palm to pan, fist to reset
+						</p>
+					)}
 				</div>
 			)}
 
 			{status === "error" && (
-				<div className="placeholder text-red-400">{statusCopy.error}</div>
+				<div className="placeholder text-red-400 text-center">
+					<p>{statusCopy.error}</p>
+					{unresolvedAssets.length > 0 && (
+						<p className="mt-2 text-sm opacity-75">
+							Missing: {unresolvedAssets.join(", ")}
+						</p>
+					)}
+				</div>
+			)}
+
+			{/* Bottom Right: Tracking */}
+			<div className="absolute bottom-4 right-4">
+				<TrackingPanel
+					status={trackingStatus}
+					enabled={trackingEnabled}
+					onEnabledChange={setTrackingEnabled}
+					cameras={cameras}
+					deviceId={cameraDeviceId}
+					onDeviceChange={setCameraDeviceId}
+					showPreview={showTrackingPreview}
+					onShowPreviewChange={setShowTrackingPreview}
+					videoRef={videoRef}
+					landmarksRef={landmarksRef}
+					calibrated={calibration.calibrated}
+					filterSettings={filterSettings}
+					onFilterSettingsChange={setFilterSettings}
+					gestureSettings={gestureSettings}
+					onGestureSettingsChange={setGestureSettings}
+					activeGesture={activeGesture}
+					onCalibrate={() => setShowCalibration(true)}
+					sessionRecording={sessionRecording}
+					onSessionRecordingChange={(value) =>
+						value ? startSessionRecording() : stopSessionRecording()
+					}
+					replayName={trackingReplay?.name ?? null}
+					onReplayFile={openTrackingSession}
+					onStopReplay={() => setTrackingReplay(null)}
+				/>
+			</div>
+
+			{showCalibration && (
+				<CalibrationDialog
+					calibration={calibration}
+					onSave={handleCalibrationSave}
+					onReset={handleCalibrationReset}
+					onClose={() => setShowCalibration(false)}
+					videoRef={videoRef}
+					landmarksRef={landmarksRef}
+				/>
 			)}
 
 			{/* Bottom Left: Lab Logo Link */}
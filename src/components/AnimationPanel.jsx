@@ -0,0 +1,219 @@
+import { Layers, Pause, Play, Square } from "lucide-react";
+import { useEffect, useState } from "react";
+import { Panel } from "@/components/Panel";
+import { LOOP_MODES } from "@/lib/animation";
+import { cn } from "@/lib/utils";
+
+function formatTime(seconds) {
+	const minutes = Math.floor(seconds / 60);
+	return `${minutes}:${(seconds % 60).toFixed(2).padStart(5, "0")}`;
+}
+
+function Slider({ label, value, display, min, max, step, onChange }) {
+	return (
+		<label className="block text-xs">
+			<span className="flex justify-between text-gray-400">
+				<span>{label}</span>
+				<span className="tabular-nums">{display}</span>
+			</span>
+			<input
+				type="range"
+				min={min}
+				max={max}
+				step={step}
+				value={value}
+				onChange={(e) => onChange(Number(e.target.value))}
+				className="w-full accent-green-400"
+			/>
+		</label>
+	);
+}
+
+// Clip list with a timeline for the primary clip: play / pause, scrubbing,
+// speed, loop mode and crossfade, plus layered clips with their own weights.
+// `weights` holds the weight of every playing clip (primary and layers).
+export function AnimationPanel({
+	clips,
+	activeIndex,
+	isPlaying,
+	weights,
+	playback,
+	onPlaybackChange,
+	onPlay,
+	onTogglePlay,
+	onStop,
+	onSeek,
+	onLayerChange,
+	onWeightChange,
+	getTime,
+}) {
+	const [time, setTime] = useState(0);
+	const duration = activeIndex !== null ? clips[activeIndex].duration : 0;
+
+	// Follow the primary clip's time while it plays
+	useEffect(() => {
+		if (activeIndex === null) {
+			setTime(0);
+			return;
+		}
+		let frame;
+		const tick = () => {
+			setTime(getTime(activeIndex));
+			frame = requestAnimationFrame(tick);
+		};
+		tick();
+		return () => cancelAnimationFrame(frame);
+	}, [activeIndex, getTime]);
+
+	const updatePlayback = (changes) => onPlaybackChange({ ...playback, ...changes });
+
+	return (
+		<Panel
+			icon={Play}
+			iconClassName="text-green-400"
+			title="Animations"
+			className="max-h-[50vh] flex flex-col"
+		>
+			<div className="flex-1 overflow-y-auto space-y-1 pr-1 custom-scrollbar">
+				{clips.map((clip, idx) => {
+					const isActive = activeIndex === idx;
+					const isLayer = !isActive && weights[idx] !== undefined;
+					return (
+						<div
+							key={idx}
+							className={cn(
+								"rounded text-sm transition-all",
+								isActive
+									? "bg-blue-500/20 text-blue-300 border border-blue-500/30"
+									: "text-gray-400",
+							)}
+						>
+							<div className="flex items-center">
+								<button
+									type="button"
+									onClick={() => onPlay(idx)}
+									className={cn(
+										"flex-1 min-w-0 text-left px-3 py-2 flex items-center gap-2 rounded",
+										!isActive && "hover:bg-white/5 hover:text-white",
+									)}
+								>
+									<span className="truncate flex-1">{clip.name || `Clip ${idx + 1}`}</span>
+									{isActive && isPlaying && (
+										<div className="w-2 h-2 rounded-full bg-blue-400 animate-pulse" />
+									)}
+								</button>
+								{!isActive && (
+									<button
+										type="button"
+										onClick={() => onLayerChange(idx, !isLayer)}
+										className={cn(
+											"p-2 transition-colors",
+											isLayer ? "text-green-300" : "text-gray-500 hover:text-white",
+										)}
+										aria-label={isLayer ? "Remove layer" : "Layer on top"}
+										title={isLayer ? "Remove layer" : "Layer on top"}
+									>
+										<Layers className="w-4 h-4" />
+									</button>
+								)}
+							</div>
+							{weights[idx] !== undefined && (isActive || isLayer) && (
+								<div className="px-3 pb-2">
+									<Slider
+										label="Weight"
+										value={weights[idx]}
+										display={weights[idx].toFixed(2)}
+										min={0}
+										max={1}
+										step={0.01}
+										onChange={(weight) => onWeightChange(idx, weight)}
+									/>
+								</div>
+							)}
+						</div>
+					);
+				})}
+			</div>
+
+			<div className="mt-4 pt-3 border-t border-white/10 shrink-0 space-y-2">
+				<div>
+					<input
+						type="range"
+						min={0}
+						max={duration || 1}
+						step={0.001}
+						value={Math.min(time, duration)}
+						disabled={activeIndex === null}
+						onChange={(e) => onSeek(Number(e.target.value))}
+						className="w-full accent-green-400 disabled:opacity-50"
+						aria-label="Animation time"
+					/>
+					<div className="flex justify-between text-xs text-gray-400 tabular-nums">
+						<span>{formatTime(Math.min(time, duration))}</span>
+						<span>{formatTime(duration)}</span>
+					</div>
+				</div>
+
+				<div className="flex gap-2">
+					<button
+						type="button"
+						onClick={onTogglePlay}
+						className="flex-1 flex items-center justify-center gap-2 bg-green-500/20 text-green-300 hover:bg-green-500/30 py-2 rounded text-sm font-medium transition-colors"
+					>
+						{isPlaying ? (
+							<Pause className="w-4 h-4 fill-current" />
+						) : (
+							<Play className="w-4 h-4 fill-current" />
+						)}
+						{isPlaying ? "Pause" : "Play"}
+					</button>
+					<button
+						type="button"
+						onClick={onStop}
+						disabled={activeIndex === null}
+						className="flex-1 flex items-center justify-center gap-2 bg-red-500/20 text-red-300 hover:bg-red-500/30 disabled:opacity-50 disabled:cursor-not-allowed py-2 rounded text-sm font-medium transition-colors"
+					>
+						<Square className="w-4 h-4 fill-current" />
+						Stop
+					</button>
+				</div>
+
+				<Slider
+					label="Speed"
+					value={playback.speed}
+					display={`${playback.speed.toFixed(2)}×`}
+					min={0.1}
+					max={3}
+					step={0.05}
+					onChange={(speed) => updatePlayback({ speed })}
+				/>
+				<Slider
+					label="Crossfade"
+					value={playback.crossfade}
+					display={`${playback.crossfade.toFixed(1)} s`}
+					min={0}
+					max={3}
+					step={0.1}
+					onChange={(crossfade) => updatePlayback({ crossfade })}
+				/>
+				<div className="flex gap-1">
+					{Object.entries(LOOP_MODES).map(([mode, { label }]) => (
+						<button
+							key={mode}
+							type="button"
+							onClick={() => updatePlayback({ loop: mode })}
+							className={cn(
+								"flex-1 py-1 rounded text-xs transition-colors",
+								playback.loop === mode
+									? "bg-green-500/30 text-green-200"
+									: "bg-white/10 text-gray-400 hover:text-white",
+							)}
+						>
+							{label}
+						</button>
+					))}
+				</div>
+			</div>
+		</Panel>
+	);
+}
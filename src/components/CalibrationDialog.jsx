@@ -0,0 +1,198 @@
+import { Ruler } from "lucide-react";
+import { useState } from "react";
+import {
+	DEFAULT_CALIBRATION,
+	focalFromCapture,
+	getCameraOffset,
+	getScreenSize,
+	measureEyes,
+} from "@/lib/headPose";
+import { cn } from "@/lib/utils";
+
+const steps = ["Screen", "Camera", "Distance"];
+
+function NumberField({ label, value, onChange, placeholder, step = 0.1 }) {
+	return (
+		<label className="block">
+			<span className="block text-xs text-gray-500 uppercase mb-1">
+				{label}
+			</span>
+			<input
+				type="number"
+				step={step}
+				value={value ?? ""}
+				placeholder={placeholder}
+				onChange={(e) =>
+					onChange(e.target.value === "" ? null : Number(e.target.value))
+				}
+				className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+			/>
+		</label>
+	);
+}
+
+// Three step wizard measuring the physical setup: screen size, where the
+// camera sits relative to the screen center, and the viewer's distance
+// (captured from the current eye spacing).
+export function CalibrationDialog({
+	calibration,
+	onSave,
+	onReset,
+	onClose,
+	videoRef,
+	landmarksRef,
+}) {
+	const [draft, setDraft] = useState(calibration);
+	const [step, setStep] = useState(0);
+	const [captureMessage, setCaptureMessage] = useState(null);
+
+	const screen = getScreenSize(draft);
+	const autoOffset = getCameraOffset({ ...draft, cameraOffsetYCm: null });
+	const update = (changes) => setDraft((value) => ({ ...value, ...changes }));
+
+	const capture = () => {
+		const face = landmarksRef.current.face;
+		const video = videoRef.current;
+		if (!face || !video?.videoWidth) {
+			setCaptureMessage(
+				"No face detected. Enable tracking and face the camera.",
+			);
+			return;
+		}
+
+		const { spacing } = measureEyes(face, video.videoHeight / video.videoWidth);
+		update({
+			focal: focalFromCapture(spacing, draft.viewingDistanceCm),
+			calibrated: true,
+		});
+		setCaptureMessage(`Captured at ${draft.viewingDistanceCm} cm.`);
+	};
+
+	return (
+		<div className="absolute inset-0 z-20 flex items-center justify-center bg-black/60">
+			<div className="w-96 bg-black/80 backdrop-blur-md border border-white/10 rounded-lg p-5 text-white shadow-xl">
+				<div className="flex items-center gap-2 mb-4">
+					<Ruler className="w-5 h-5 text-purple-400" />
+					<h2 className="font-semibold text-sm uppercase tracking-wider flex-1">
+						Calibration
+					</h2>
+					<span className="text-xs text-gray-500">
+						{step + 1} / {steps.length}
+					</span>
+				</div>
+
+				<div className="flex gap-1 mb-4">
+					{steps.map((name, index) => (
+						<div
+							key={name}
+							className={cn(
+								"flex-1 h-1 rounded",
+								index <= step ? "bg-purple-400" : "bg-white/10",
+							)}
+						/>
+					))}
+				</div>
+
+				<div className="space-y-3 text-sm text-gray-300 min-h-40">
+					{step === 0 && (
+						<>
+							<p>Enter your screen's diagonal size.</p>
+							<NumberField
+								label="Diagonal (inches)"
+								value={draft.screenDiagonalIn}
+								onChange={(value) =>
+									update({
+										screenDiagonalIn: value ?? DEFAULT_CALIBRATION.screenDiagonalIn,
+									})
+								}
+							/>
+							<p className="text-xs text-gray-500">
+								{screen.widthCm.toFixed(1)} × {screen.heightCm.toFixed(1)} cm
+							</p>
+						</>
+					)}
+
+					{step === 1 && (
+						<>
+							<p>
+								Measure the camera's position from the center of the screen
+								(right and up are positive).
+							</p>
+							<div className="grid grid-cols-2 gap-2">
+								<NumberField
+									label="Right (cm)"
+									value={draft.cameraOffsetXCm}
+									onChange={(value) => update({ cameraOffsetXCm: value ?? 0 })}
+								/>
+								<NumberField
+									label="Up (cm)"
+									value={draft.cameraOffsetYCm}
+									placeholder={`${autoOffset.y.toFixed(1)} (top edge)`}
+									onChange={(value) => update({ cameraOffsetYCm: value })}
+								/>
+							</div>
+						</>
+					)}
+
+					{step === 2 && (
+						<>
+							<p>
+								Sit at your usual viewing distance, enter it, and capture while
+								looking at the screen.
+							</p>
+							<NumberField
+								label="Viewing distance (cm)"
+								step={1}
+								value={draft.viewingDistanceCm}
+								onChange={(value) =>
+									update({
+										viewingDistanceCm: value ?? DEFAULT_CALIBRATION.viewingDistanceCm,
+									})
+								}
+							/>
+							<button
+								type="button"
+								onClick={capture}
+								className="w-full bg-purple-500/20 hover:bg-purple-500/30 border border-purple-500/30 text-purple-200 transition-colors py-2 rounded text-sm font-medium"
+							>
+								Capture
+							</button>
+							{captureMessage && (
+								<p className="text-xs text-gray-400">{captureMessage}</p>
+							)}
+						</>
+					)}
+				</div>
+
+				<div className="mt-5 pt-3 border-t border-white/10 flex gap-2">
+					<button
+						type="button"
+						onClick={onReset}
+						className="px-3 py-2 rounded text-sm text-gray-400 hover:text-white transition-colors"
+					>
+						Reset
+					</button>
+					<div className="flex-1" />
+					<button
+						type="button"
+						onClick={step === 0 ? onClose : () => setStep(step - 1)}
+						className="px-3 py-2 rounded text-sm bg-white/10 hover:bg-white/20 transition-colors"
+					>
+						{step === 0 ? "Cancel" : "Back"}
+					</button>
+					<button
+						type="button"
+						onClick={
+							step === steps.length - 1
+								? () => onSave(draft)
+								: () => setStep(step + 1)
+						}
+						className="px-3 py-2 rounded text-sm font-medium bg-purple-500/30 hover:bg-purple-500/40 transition-colors"
+					>
+						{step === steps.length - 1 ? "Save" : "Next"}
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,230 @@
+import { Camera, CircleStop, ImageDown, Video } from "lucide-react";
+import { useState } from "react";
+import { Panel } from "@/components/Panel";
+import {
+	CAPTURE_MODES,
+	CAPTURE_SCALES,
+	DEFAULT_CAPTURE,
+	SUPERSAMPLING_FACTORS,
+	TURNTABLE_DURATION_RANGE,
+	VIDEO_FRAME_RATES,
+	VIDEO_HEIGHTS,
+	canRecordVideo,
+} from "@/lib/capture";
+
+const selectClassName =
+	"w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white";
+
+function Field({ label, children }) {
+	return (
+		<label className="block">
+			<span className="block text-xs text-gray-500 uppercase mb-1">{label}</span>
+			{children}
+		</label>
+	);
+}
+
+// High-resolution PNG screenshots and WebM recordings of a turntable or an
+// animation clip, rendered frame by frame
+export function CapturePanel({
+	settings,
+	onChange,
+	animations,
+	activeAnimIndex,
+	recordingProgress,
+	onScreenshot,
+	onRecord,
+	onCancelRecording,
+}) {
+	const [clip, setClip] = useState(activeAnimIndex ?? 0);
+	const update = (changes) => onChange({ ...settings, ...changes });
+	const canRecord = canRecordVideo();
+	const recording = recordingProgress !== null;
+	const mode = animations.length > 0 ? settings.mode : "turntable";
+
+	return (
+		<Panel
+			icon={Camera}
+			iconClassName="text-fuchsia-400"
+			title="Capture"
+			collapsible
+			defaultOpen={false}
+			actions={
+				<button
+					type="button"
+					onClick={() => onChange(DEFAULT_CAPTURE)}
+					className="text-xs text-gray-400 hover:text-white transition-colors"
+				>
+					Reset
+				</button>
+			}
+		>
+			<div className="space-y-3 text-sm">
+				<Field label="Supersampling">
+					<select
+						value={settings.supersampling}
+						onChange={(e) => update({ supersampling: Number(e.target.value) })}
+						className={selectClassName}
+					>
+						{SUPERSAMPLING_FACTORS.map((factor) => (
+							<option key={factor} value={factor}>
+								{factor === 1 ? "Off" : `${factor}×`}
+							</option>
+						))}
+					</select>
+				</Field>
+
+				<div className="space-y-2 pt-2 border-t border-white/10">
+					<Field label="Screenshot size">
+						<select
+							value={settings.scale}
+							onChange={(e) => update({ scale: Number(e.target.value) })}
+							className={selectClassName}
+						>
+							{CAPTURE_SCALES.map((scale) => (
+								<option key={scale} value={scale}>
+									{scale}× viewport
+								</option>
+							))}
+						</select>
+					</Field>
+					<label className="flex items-center justify-between gap-2 cursor-pointer">
+						<span>Transparent background</span>
+						<input
+							type="checkbox"
+							checked={settings.transparent}
+							onChange={(e) => update({ transparent: e.target.checked })}
+							className="accent-fuchsia-400"
+						/>
+					</label>
+					<button
+						type="button"
+						onClick={onScreenshot}
+						disabled={recording}
+						className="w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed py-2 rounded text-sm font-medium transition-colors"
+					>
+						<ImageDown className="w-4 h-4" />
+						Save PNG
+					</button>
+				</div>
+
+				<div className="space-y-2 pt-2 border-t border-white/10">
+					<Field label="Video">
+						<select
+							value={mode}
+							onChange={(e) => update({ mode: e.target.value })}
+							disabled={animations.length === 0}
+							className={selectClassName}
+						>
+							{Object.entries(CAPTURE_MODES).map(([key, label]) => (
+								<option key={key} value={key}>
+									{label}
+								</option>
+							))}
+						</select>
+					</Field>
+
+					{mode === "turntable" ? (
+						<label className="block text-xs">
+							<span className="flex justify-between text-gray-400">
+								<span>Revolution</span>
+								<span className="tabular-nums">{settings.duration}s</span>
+							</span>
+							<input
+								type="range"
+								min={TURNTABLE_DURATION_RANGE.min}
+								max={TURNTABLE_DURATION_RANGE.max}
+								step={TURNTABLE_DURATION_RANGE.step}
+								value={settings.duration}
+								onChange={(e) => update({ duration: Number(e.target.value) })}
+								className="w-full accent-fuchsia-400"
+							/>
+						</label>
+					) : (
+						<Field label="Clip">
+							<select
+								value={Math.min(clip, animations.length - 1)}
+								onChange={(e) => setClip(Number(e.target.value))}
+								className={selectClassName}
+							>
+								{animations.map((animation, index) => (
+									<option key={index} value={index}>
+										{`${animation.name || `Clip ${index + 1}`} (${animation.duration.toFixed(1)}s)`}
+									</option>
+								))}
+							</select>
+						</Field>
+					)}
+
+					<div className="grid grid-cols-2 gap-2">
+						<Field label="Height">
+							<select
+								value={settings.videoHeight}
+								onChange={(e) => update({ videoHeight: Number(e.target.value) })}
+								className={selectClassName}
+							>
+								{VIDEO_HEIGHTS.map((height) => (
+									<option key={height} value={height}>
+										{height}p
+									</option>
+								))}
+							</select>
+						</Field>
+						<Field label="Frame rate">
+							<select
+								value={settings.fps}
+								onChange={(e) => update({ fps: Number(e.target.value) })}
+								className={selectClassName}
+							>
+								{VIDEO_FRAME_RATES.map((fps) => (
+									<option key={fps} value={fps}>
+										{fps} fps
+									</option>
+								))}
+							</select>
+						</Field>
+					</div>
+
+					{recording ? (
+						<div className="space-y-1">
+							<div className="h-1.5 rounded bg-white/10 overflow-hidden">
+								<div
+									className="h-full bg-fuchsia-400"
+									style={{ width: `${recordingProgress * 100}%` }}
+								/>
+							</div>
+							<button
+								type="button"
+								onClick={onCancelRecording}
+								className="w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 py-2 rounded text-sm font-medium transition-colors"
+							>
+								<CircleStop className="w-4 h-4" />
+								Cancel
+							</button>
+						</div>
+					) : (
+						<button
+							type="button"
+							onClick={() =>
+								onRecord(mode === "animation" ? Math.min(clip, animations.length - 1) : null)
+							}
+							disabled={!canRecord}
+							className="w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed py-2 rounded text-sm font-medium transition-colors"
+						>
+							<Video className="w-4 h-4" />
+							Record WebM
+						</button>
+					)}
+					{!canRecord && (
+						<p className="text-xs text-gray-500">
+							This browser can't record WebM video.
+						</p>
+					)}
+					<p className="text-xs text-gray-500">
+						The viewer pauses while recording.
+					</p>
+				</div>
+			</div>
+		</Panel>
+	);
+}
@@ -0,0 +1,155 @@
+import { Scissors } from "lucide-react";
+import { Panel } from "@/components/Panel";
+import { CLIP_AXES, DEFAULT_CLIPPING } from "@/lib/clipping";
+import { cn } from "@/lib/utils";
+
+// Text colors matching the plane caps and handles
+const PLANE_CLASSES = ["text-red-400", "text-green-400", "text-blue-400"];
+
+const OPTIONS = {
+	caps: "Cap cut solids",
+	handles: "Show plane handles",
+	clipToBox: "Clip to box walls",
+};
+
+function Slider({ label, value, display, min, max, step, onChange }) {
+	return (
+		<label className="block text-xs">
+			<span className="flex justify-between text-gray-400">
+				<span>{label}</span>
+				<span className="tabular-nums">{display}</span>
+			</span>
+			<input
+				type="range"
+				min={min}
+				max={max}
+				step={step}
+				value={value}
+				onChange={(e) => onChange(Number(e.target.value))}
+				className="w-full accent-rose-400"
+			/>
+		</label>
+	);
+}
+
+// Up to three section planes through the model, plus capping, handles and
+// clipping against the box walls. Handles can also be dragged in the viewer.
+export function ClippingPanel({ settings, onChange }) {
+	const update = (changes) => onChange({ ...settings, ...changes });
+	const updatePlane = (index, changes) =>
+		update({
+			planes: settings.planes.map((plane, i) =>
+				i === index ? { ...plane, ...changes } : plane,
+			),
+		});
+
+	return (
+		<Panel
+			icon={Scissors}
+			iconClassName="text-rose-400"
+			title="Section"
+			collapsible
+			defaultOpen={false}
+			actions={
+				<button
+					type="button"
+					onClick={() => onChange(DEFAULT_CLIPPING)}
+					className="text-xs text-gray-400 hover:text-white transition-colors"
+				>
+					Reset
+				</button>
+			}
+		>
+			<div className="space-y-3 text-sm">
+				{settings.planes.map((plane, index) => (
+					<div key={index} className="space-y-1">
+						<div className="flex items-center gap-2">
+							<input
+								type="checkbox"
+								checked={plane.enabled}
+								onChange={(e) => updatePlane(index, { enabled: e.target.checked })}
+								className="accent-rose-400"
+								aria-label={`Plane ${index + 1}`}
+							/>
+							<span className={cn("flex-1 font-medium", PLANE_CLASSES[index])}>
+								Plane {index + 1}
+							</span>
+							<select
+								value={plane.axis}
+								onChange={(e) => updatePlane(index, { axis: e.target.value })}
+								className="bg-white/10 border border-white/10 rounded px-1 py-0.5 text-xs text-white"
+							>
+								{Object.entries(CLIP_AXES).map(([axis, label]) => (
+									<option key={axis} value={axis}>
+										{label}
+									</option>
+								))}
+							</select>
+							<label className="flex items-center gap-1 text-xs text-gray-400 cursor-pointer">
+								<input
+									type="checkbox"
+									checked={plane.flip}
+									onChange={(e) => updatePlane(index, { flip: e.target.checked })}
+									className="accent-rose-400"
+								/>
+								Flip
+							</label>
+						</div>
+						{plane.enabled && (
+							<>
+								<Slider
+									label="Offset"
+									value={plane.offset}
+									display={plane.offset.toFixed(2)}
+									min={-1}
+									max={1}
+									step={0.01}
+									onChange={(offset) => updatePlane(index, { offset })}
+								/>
+								{plane.axis === "custom" && (
+									<>
+										<Slider
+											label="Azimuth"
+											value={plane.azimuth}
+											display={`${plane.azimuth}°`}
+											min={-180}
+											max={180}
+											step={1}
+											onChange={(azimuth) => updatePlane(index, { azimuth })}
+										/>
+										<Slider
+											label="Elevation"
+											value={plane.elevation}
+											display={`${plane.elevation}°`}
+											min={-90}
+											max={90}
+											step={1}
+											onChange={(elevation) => updatePlane(index, { elevation })}
+										/>
+									</>
+								)}
+							</>
+						)}
+					</div>
+				))}
+
+				<div className="space-y-1 pt-2 border-t border-white/10">
+					{Object.entries(OPTIONS).map(([key, label]) => (
+						<label
+							key={key}
+							className="flex items-center justify-between gap-2 cursor-pointer"
+						>
+							<span>{label}</span>
+							<input
+								type="checkbox"
+								checked={settings[key]}
+								onChange={(e) => update({ [key]: e.target.checked })}
+								className="accent-rose-400"
+							/>
+						</label>
+					))}
+				</div>
+			</div>
+		</Panel>
+	);
+}
@@ -0,0 +1,58 @@
+import { HEAD_FILTERS, getDefaultFilterParams } from "@/lib/filters";
+
+// Head-pose filter picker with a slider per tunable parameter
+export function FilterControls({ settings, onChange }) {
+	const filter = HEAD_FILTERS[settings.type];
+
+	return (
+		<div className="space-y-2">
+			<label className="block">
+				<span className="block text-xs text-gray-500 uppercase mb-1">
+					Smoothing
+				</span>
+				<select
+					value={settings.type}
+					onChange={(e) =>
+						onChange({
+							type: e.target.value,
+							params: getDefaultFilterParams(e.target.value),
+						})
+					}
+					className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+				>
+					{Object.entries(HEAD_FILTERS).map(([type, { label }]) => (
+						<option key={type} value={type}>
+							{label}
+						</option>
+					))}
+				</select>
+			</label>
+
+			{filter.params.map((param) => (
+				<label key={param.key} className="block text-xs">
+					<span className="flex justify-between text-gray-400">
+						<span>{param.label}</span>
+						<span className="tabular-nums">{settings.params[param.key]}</span>
+					</span>
+					<input
+						type="range"
+						min={param.min}
+						max={param.max}
+						step={param.step}
+						value={settings.params[param.key]}
+						onChange={(e) =>
+							onChange({
+								...settings,
+								params: {
+									...settings.params,
+									[param.key]: Number(e.target.value),
+								},
+							})
+						}
+						className="w-full accent-purple-400"
+					/>
+				</label>
+			))}
+		</div>
+	);
+}
@@ -0,0 +1,169 @@
+import { FolderOpen, Sun } from "lucide-react";
+import { useRef } from "react";
+import { Panel } from "@/components/Panel";
+import { GROUNDING_OPTIONS } from "@/lib/grounding";
+import {
+	ENVIRONMENT_EXTENSIONS,
+	ENVIRONMENT_PRESETS,
+	TONE_MAPPINGS,
+} from "@/lib/lighting";
+
+function Slider({ label, value, display, min, max, step, onChange }) {
+	return (
+		<label className="block text-xs">
+			<span className="flex justify-between text-gray-400">
+				<span>{label}</span>
+				<span className="tabular-nums">{display ?? value}</span>
+			</span>
+			<input
+				type="range"
+				min={min}
+				max={max}
+				step={step}
+				value={value}
+				onChange={(e) => onChange(Number(e.target.value))}
+				className="w-full accent-yellow-400"
+			/>
+		</label>
+	);
+}
+
+// Environment preset or custom .hdr/.exr map, its intensity and rotation,
+// the renderer's tone mapping and exposure, and the shadow / grounding cues
+export function LightingPanel({
+	settings,
+	onChange,
+	customEnvironmentName,
+	onEnvironmentFile,
+	grounding,
+	onGroundingChange,
+}) {
+	const fileInputRef = useRef(null);
+	const update = (changes) => onChange({ ...settings, ...changes });
+	const hasEnvironment = settings.environment !== "none";
+
+	return (
+		<Panel
+			icon={Sun}
+			iconClassName="text-yellow-400"
+			title="Lighting"
+			collapsible
+			defaultOpen={false}
+		>
+			<div className="space-y-2">
+				<label className="block">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Environment
+					</span>
+					<select
+						value={settings.environment}
+						onChange={(e) => update({ environment: e.target.value })}
+						className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+					>
+						{Object.entries(ENVIRONMENT_PRESETS).map(([name, { label }]) => (
+							<option key={name} value={name}>
+								{label}
+							</option>
+						))}
+						{customEnvironmentName && (
+							<option value="custom">{customEnvironmentName}</option>
+						)}
+					</select>
+				</label>
+
+				<button
+					type="button"
+					onClick={() => fileInputRef.current?.click()}
+					className="w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 border border-white/10 transition-colors py-1.5 rounded text-sm"
+				>
+					<FolderOpen className="w-4 h-4" />
+					Open HDR / EXR
+				</button>
+				<input
+					ref={fileInputRef}
+					type="file"
+					accept={ENVIRONMENT_EXTENSIONS.join(",")}
+					className="hidden"
+					onChange={(e) => {
+						const file = e.target.files[0];
+						if (file) onEnvironmentFile(file);
+						e.target.value = "";
+					}}
+				/>
+
+				{hasEnvironment && (
+					<>
+						<Slider
+							label="Intensity"
+							value={settings.intensity}
+							min={0}
+							max={3}
+							step={0.05}
+							onChange={(intensity) => update({ intensity })}
+						/>
+						<Slider
+							label="Rotation"
+							value={settings.rotation}
+							display={`${settings.rotation}°`}
+							min={0}
+							max={360}
+							step={5}
+							onChange={(rotation) => update({ rotation })}
+						/>
+					</>
+				)}
+
+				<label className="block">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Tone mapping
+					</span>
+					<select
+						value={settings.toneMapping}
+						onChange={(e) => update({ toneMapping: e.target.value })}
+						className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+					>
+						{Object.entries(TONE_MAPPINGS).map(([name, { label }]) => (
+							<option key={name} value={name}>
+								{label}
+							</option>
+						))}
+					</select>
+				</label>
+
+				<Slider
+					label="Exposure"
+					value={settings.exposure}
+					min={0.1}
+					max={4}
+					step={0.05}
+					onChange={(exposure) => update({ exposure })}
+				/>
+
+				<div className="space-y-1 pt-1 text-sm">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Grounding
+					</span>
+					{Object.entries(GROUNDING_OPTIONS).map(([option, label]) => (
+						<label
+							key={option}
+							className="flex items-center justify-between gap-2 cursor-pointer"
+						>
+							<span>{label}</span>
+							<input
+								type="checkbox"
+								checked={grounding[option]}
+								onChange={(e) =>
+									onGroundingChange({
+										...grounding,
+										[option]: e.target.checked,
+									})
+								}
+								className="accent-yellow-400"
+							/>
+						</label>
+					))}
+				</div>
+			</div>
+		</Panel>
+	);
+}
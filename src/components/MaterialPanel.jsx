@@ -0,0 +1,277 @@
+import { ImageOff, Paintbrush, X } from "lucide-react";
+import { useReducer, useRef, useState } from "react";
+import { Panel } from "@/components/Panel";
+import {
+	clearMaterialTexture,
+	getMaterialFlag,
+	getTextureThumbnail,
+	loadMaterialTexture,
+	MATERIAL_COLORS,
+	MATERIAL_FLAGS,
+	MATERIAL_MAPS,
+	MATERIAL_PARAMETERS,
+	setMaterialFlag,
+	setMaterialParameter,
+} from "@/lib/materials";
+import { cn } from "@/lib/utils";
+
+function Slider({ label, value, min, max, step, onChange }) {
+	return (
+		<label className="block text-xs">
+			<span className="flex justify-between text-gray-400">
+				<span>{label}</span>
+				<span className="tabular-nums">{value.toFixed(2)}</span>
+			</span>
+			<input
+				type="range"
+				min={min}
+				max={max}
+				step={step}
+				value={value}
+				onChange={(e) => onChange(Number(e.target.value))}
+				className="w-full accent-violet-400"
+			/>
+		</label>
+	);
+}
+
+// One texture slot: thumbnail, file name, and a drop target (or click) to
+// swap in another image
+function TextureSlot({ label, texture, onFile, onClear }) {
+	const inputRef = useRef(null);
+	const [dragging, setDragging] = useState(false);
+	const thumbnail = texture ? getTextureThumbnail(texture) : null;
+
+	const handleDrop = (e) => {
+		// Keep the drop from reaching the viewer, which would load it as a model
+		e.preventDefault();
+		e.stopPropagation();
+		setDragging(false);
+		const file = Array.from(e.dataTransfer.files).find((entry) =>
+			entry.type.startsWith("image/"),
+		);
+		if (file) onFile(file);
+	};
+
+	return (
+		<div
+			className={cn(
+				"flex items-center gap-2 rounded p-1 text-xs border border-transparent",
+				dragging && "border-violet-400/60 bg-violet-500/10",
+			)}
+			onDragOver={(e) => {
+				e.preventDefault();
+				e.stopPropagation();
+				setDragging(true);
+			}}
+			onDragLeave={() => setDragging(false)}
+			onDrop={handleDrop}
+		>
+			<button
+				type="button"
+				onClick={() => inputRef.current?.click()}
+				className="w-8 h-8 shrink-0 rounded bg-white/10 border border-white/10 overflow-hidden flex items-center justify-center text-gray-500 hover:border-white/30"
+				title="Drop an image here, or click to choose one"
+			>
+				{thumbnail ? (
+					<img src={thumbnail} alt="" className="w-full h-full object-cover" />
+				) : (
+					texture && <ImageOff className="w-3.5 h-3.5" />
+				)}
+			</button>
+			<div className="flex-1 min-w-0">
+				<span className="block text-gray-400">{label}</span>
+				<span className="block truncate text-gray-500" title={texture?.name}>
+					{texture ? texture.name || "Embedded" : "None"}
+				</span>
+			</div>
+			{texture && (
+				<button
+					type="button"
+					onClick={onClear}
+					className="p-0.5 text-gray-500 hover:text-white transition-colors"
+					aria-label={`Remove ${label} texture`}
+					title="Remove texture"
+				>
+					<X className="w-3.5 h-3.5" />
+				</button>
+			)}
+			<input
+				ref={inputRef}
+				type="file"
+				accept="image/*"
+				className="hidden"
+				onChange={(e) => {
+					if (e.target.files[0]) onFile(e.target.files[0]);
+					e.target.value = "";
+				}}
+			/>
+		</div>
+	);
+}
+
+// Materials of the loaded model with their PBR parameters and texture slots,
+// all edited live on the materials themselves. Assets with
+// KHR_materials_variants also get a variant picker.
+export function MaterialPanel({
+	materials,
+	variants,
+	activeVariant,
+	onVariantChange,
+	flipTextures,
+}) {
+	const [selectedIndex, setSelectedIndex] = useState(0);
+	const [, refresh] = useReducer((value) => value + 1, 0);
+
+	const entry = materials[Math.min(selectedIndex, materials.length - 1)];
+	const material = entry?.material;
+
+	const setTexture = (key, file) => {
+		loadMaterialTexture(material, key, file, { flipY: flipTextures })
+			.then(refresh)
+			.catch((error) => {
+				console.error(`Failed to load texture ${file.name}:`, error);
+				alert(`Couldn't load ${file.name} as a texture.`);
+			});
+	};
+
+	return (
+		<Panel
+			icon={Paintbrush}
+			iconClassName="text-violet-400"
+			title="Materials"
+			collapsible
+			defaultOpen={false}
+		>
+			<div className="space-y-3 text-sm">
+				{variants.length > 0 && (
+					<label className="block">
+						<span className="block text-xs text-gray-500 uppercase mb-1">
+							Variant
+						</span>
+						<select
+							value={activeVariant ?? ""}
+							onChange={(e) =>
+								onVariantChange(e.target.value === "" ? null : Number(e.target.value))
+							}
+							className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+						>
+							<option value="">Default</option>
+							{variants.map((name, index) => (
+								<option key={index} value={index}>
+									{name}
+								</option>
+							))}
+						</select>
+					</label>
+				)}
+
+				<label className="block">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Material
+					</span>
+					<select
+						value={Math.min(selectedIndex, materials.length - 1)}
+						onChange={(e) => setSelectedIndex(Number(e.target.value))}
+						className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+					>
+						{materials.map(({ material: option, meshes }, index) => (
+							<option key={option.uuid} value={index}>
+								{option.name || `Material ${index + 1}`} ({meshes})
+							</option>
+						))}
+					</select>
+				</label>
+
+				{material && (
+					<>
+						<span className="block text-xs text-gray-500">{material.type}</span>
+
+						<div className="space-y-1">
+							{MATERIAL_COLORS.filter(({ key }) => material[key]?.isColor).map(
+								({ key, label }) => (
+									<label
+										key={key}
+										className="flex items-center justify-between gap-2 text-sm"
+									>
+										<span>{label}</span>
+										<input
+											type="color"
+											value={`#${material[key].getHexString()}`}
+											onChange={(e) => {
+												material[key].set(e.target.value);
+												refresh();
+											}}
+											className="w-8 h-6 bg-transparent border border-white/10 rounded cursor-pointer"
+										/>
+									</label>
+								),
+							)}
+						</div>
+
+						<div className="space-y-1">
+							{MATERIAL_PARAMETERS.filter(
+								({ key }) => typeof material[key] === "number",
+							).map(({ key, label, min, max, step }) => (
+								<Slider
+									key={key}
+									label={label}
+									value={material[key]}
+									min={min}
+									max={max}
+									step={step}
+									onChange={(value) => {
+										setMaterialParameter(material, key, value);
+										refresh();
+									}}
+								/>
+							))}
+						</div>
+
+						<div className="space-y-1">
+							{MATERIAL_FLAGS.filter(
+								({ key }) => key === "doubleSided" || key in material,
+							).map(({ key, label }) => (
+								<label
+									key={key}
+									className="flex items-center justify-between gap-2 cursor-pointer"
+								>
+									<span>{label}</span>
+									<input
+										type="checkbox"
+										checked={getMaterialFlag(material, key)}
+										onChange={(e) => {
+											setMaterialFlag(material, key, e.target.checked);
+											refresh();
+										}}
+										className="accent-violet-400"
+									/>
+								</label>
+							))}
+						</div>
+
+						<div className="space-y-1">
+							<span className="block text-xs text-gray-500 uppercase">
+								Textures
+							</span>
+							{MATERIAL_MAPS.filter(({ key }) => key in material).map(
+								({ key, label }) => (
+									<TextureSlot
+										key={key}
+										label={label}
+										texture={material[key]}
+										onFile={(file) => setTexture(key, file)}
+										onClear={() => {
+											clearMaterialTexture(material, key);
+											refresh();
+										}}
+									/>
+								),
+							)}
+						</div>
+					</>
+				)}
+			</div>
+		</Panel>
+	);
+}
@@ -0,0 +1,157 @@
+import { Download, MapPin, Ruler, Trash2, Upload } from "lucide-react";
+import { useRef } from "react";
+import { Panel } from "@/components/Panel";
+import { formatLength } from "@/lib/annotations";
+import { cn } from "@/lib/utils";
+
+const AXES = ["Width", "Height", "Depth"];
+
+const TOOLS = {
+	measure: { label: "Measure", icon: Ruler },
+	annotate: { label: "Annotate", icon: MapPin },
+};
+
+// Model dimensions in source units, point-to-point measuring and annotation
+// pins. The active tool picks points on the model with a click.
+export function MeasurePanel({
+	dimensions,
+	metric,
+	tool,
+	onToolChange,
+	measurePointCount,
+	distance,
+	onClearMeasurement,
+	annotations,
+	onAnnotationChange,
+	onAnnotationRemove,
+	onExport,
+	onImport,
+}) {
+	const fileInputRef = useRef(null);
+
+	return (
+		<Panel
+			icon={Ruler}
+			iconClassName="text-amber-400"
+			title="Measure"
+			collapsible
+			defaultOpen={false}
+		>
+			<div className="space-y-3 text-sm">
+				{dimensions && (
+					<div className="grid grid-cols-3 gap-2">
+						{AXES.map((axis, index) => (
+							<div key={axis}>
+								<span className="block text-xs text-gray-500 uppercase">{axis}</span>
+								<span className="text-xs tabular-nums">
+									{formatLength(dimensions[index], metric)}
+								</span>
+							</div>
+						))}
+					</div>
+				)}
+
+				<div className="flex gap-2">
+					{Object.entries(TOOLS).map(([key, { label, icon: Icon }]) => (
+						<button
+							key={key}
+							type="button"
+							onClick={() => onToolChange(tool === key ? null : key)}
+							className={cn(
+								"flex-1 flex items-center justify-center gap-2 py-2 rounded text-sm font-medium transition-colors",
+								tool === key
+									? "bg-amber-500/30 text-amber-200"
+									: "bg-white/10 hover:bg-white/20",
+							)}
+						>
+							<Icon className="w-4 h-4" />
+							{label}
+						</button>
+					))}
+				</div>
+				{tool && (
+					<p className="text-xs text-gray-500">
+						{tool === "measure"
+							? "Click two points on the model."
+							: "Click the model to place a pin."}
+					</p>
+				)}
+
+				{measurePointCount > 0 && (
+					<div className="flex items-center justify-between gap-2 text-xs">
+						<span className="text-gray-400">Distance</span>
+						<span className="flex-1 text-right tabular-nums text-amber-200">
+							{distance !== null ? formatLength(distance, metric) : "Pick a second point"}
+						</span>
+						<button
+							type="button"
+							onClick={onClearMeasurement}
+							className="text-gray-400 hover:text-white transition-colors"
+						>
+							Clear
+						</button>
+					</div>
+				)}
+
+				<div className="space-y-1">
+					<span className="block text-xs text-gray-500 uppercase">
+						Annotations
+					</span>
+					{annotations.length === 0 && (
+						<p className="text-xs text-gray-500 italic">No annotations.</p>
+					)}
+					{annotations.map((annotation, index) => (
+						<div key={index} className="flex items-center gap-2">
+							<span className="w-4 text-xs text-pink-300 tabular-nums">{index + 1}</span>
+							<input
+								type="text"
+								value={annotation.text}
+								onChange={(e) => onAnnotationChange(index, e.target.value)}
+								placeholder="Note"
+								className="flex-1 min-w-0 bg-white/10 border border-white/10 rounded px-2 py-1 text-xs text-white placeholder:text-gray-500"
+							/>
+							<button
+								type="button"
+								onClick={() => onAnnotationRemove(index)}
+								className="text-gray-500 hover:text-white transition-colors"
+								aria-label={`Remove annotation ${index + 1}`}
+							>
+								<Trash2 className="w-3.5 h-3.5" />
+							</button>
+						</div>
+					))}
+				</div>
+
+				<div className="flex gap-2">
+					<button
+						type="button"
+						onClick={() => fileInputRef.current?.click()}
+						className="flex-1 flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 py-1.5 rounded text-xs font-medium transition-colors"
+					>
+						<Upload className="w-3.5 h-3.5" />
+						Import
+					</button>
+					<button
+						type="button"
+						onClick={onExport}
+						disabled={annotations.length === 0}
+						className="flex-1 flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed py-1.5 rounded text-xs font-medium transition-colors"
+					>
+						<Download className="w-3.5 h-3.5" />
+						Export
+					</button>
+				</div>
+				<input
+					ref={fileInputRef}
+					type="file"
+					accept=".json,application/json"
+					className="hidden"
+					onChange={(e) => {
+						if (e.target.files[0]) onImport(e.target.files[0]);
+						e.target.value = "";
+					}}
+				/>
+			</div>
+		</Panel>
+	);
+}
@@ -0,0 +1,117 @@
+import { Smile } from "lucide-react";
+import { useEffect, useReducer, useState } from "react";
+import { Panel } from "@/components/Panel";
+
+// Morph target sliders per mesh, plus the face puppet toggle. Influences are
+// read straight from the meshes, so the panel re-renders on a timer while
+// the puppet (or an animation) is moving them.
+export function MorphTargetPanel({
+	morphMeshes,
+	puppet,
+	onPuppetChange,
+	trackingActive,
+	matchedCount,
+	blendshapeCount,
+	onInfluenceChange,
+	onReset,
+}) {
+	const [filter, setFilter] = useState("");
+	const [, refresh] = useReducer((value) => value + 1, 0);
+
+	useEffect(() => {
+		const interval = setInterval(refresh, 100);
+		return () => clearInterval(interval);
+	}, []);
+
+	const query = filter.trim().toLowerCase();
+
+	return (
+		<Panel
+			icon={Smile}
+			iconClassName="text-pink-400"
+			title="Morph Targets"
+			collapsible
+			defaultOpen={false}
+			actions={
+				<button
+					type="button"
+					onClick={onReset}
+					className="text-xs text-gray-400 hover:text-white transition-colors"
+				>
+					Reset
+				</button>
+			}
+		>
+			<div className="space-y-3 text-sm">
+				<div className="space-y-1">
+					<label className="flex items-center justify-between gap-2 cursor-pointer">
+						<span>Face puppet</span>
+						<input
+							type="checkbox"
+							checked={puppet}
+							onChange={(e) => onPuppetChange(e.target.checked)}
+							disabled={matchedCount === 0}
+							className="accent-pink-400"
+						/>
+					</label>
+					<p className="text-xs text-gray-500">
+						{matchedCount === 0
+							? "No morph targets match the face blendshape names (jawOpen, eyeBlinkLeft, ...)."
+							: `${matchedCount} of ${blendshapeCount} face blendshapes matched.`}
+						{puppet && !trackingActive && " Waiting for face tracking."}
+					</p>
+				</div>
+
+				<input
+					type="search"
+					value={filter}
+					onChange={(e) => setFilter(e.target.value)}
+					placeholder="Filter targets"
+					className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white placeholder:text-gray-500"
+				/>
+
+				<div className="max-h-64 overflow-y-auto space-y-3 pr-1 custom-scrollbar">
+					{morphMeshes.map(({ mesh, name, targets }) => {
+						const visible = targets.filter((target) =>
+							target.name.toLowerCase().includes(query),
+						);
+						if (visible.length === 0) return null;
+						return (
+							<div key={mesh.uuid} className="space-y-1">
+								<span className="block text-xs text-gray-500 uppercase truncate">
+									{name}
+								</span>
+								{visible.map((target) => {
+									const value = mesh.morphTargetInfluences[target.index];
+									return (
+										<label key={target.index} className="block text-xs">
+											<span className="flex justify-between gap-2 text-gray-400">
+												<span className="truncate">{target.name}</span>
+												<span className="tabular-nums">{value.toFixed(2)}</span>
+											</span>
+											<input
+												type="range"
+												min={0}
+												max={1}
+												step={0.01}
+												value={value}
+												onChange={(e) => {
+													mesh.morphTargetInfluences[target.index] = Number(
+														e.target.value,
+													);
+													onInfluenceChange?.();
+													refresh();
+												}}
+												className="w-full accent-pink-400"
+											/>
+										</label>
+									);
+								})}
+							</div>
+						);
+					})}
+				</div>
+			</div>
+		</Panel>
+	);
+}
@@ -0,0 +1,51 @@
+import { ChevronDown } from "lucide-react";
+import { useState } from "react";
+import { cn } from "@/lib/utils";
+
+// Floating glass panel shared by the viewer overlays, with an optional
+// collapsible body.
+export function Panel({
+	icon: Icon,
+	iconClassName,
+	title,
+	actions,
+	collapsible = false,
+	defaultOpen = true,
+	className,
+	children,
+}) {
+	const [open, setOpen] = useState(defaultOpen);
+	const showBody = !collapsible || open;
+
+	return (
+		<div
+			className={cn(
+				"bg-black/50 backdrop-blur-md border border-white/10 rounded-lg p-4 text-white shadow-xl",
+				className,
+			)}
+		>
+			<div
+				className={cn("flex items-center gap-2 shrink-0", showBody && "mb-4")}
+			>
+				{Icon && <Icon className={cn("w-5 h-5", iconClassName)} />}
+				<h2 className="font-semibold text-sm uppercase tracking-wider flex-1">
+					{title}
+				</h2>
+				{actions}
+				{collapsible && (
+					<button
+						type="button"
+						onClick={() => setOpen((value) => !value)}
+						className="text-gray-400 hover:text-white transition-colors"
+						aria-label={open ? `Collapse ${title}` : `Expand ${title}`}
+					>
+						<ChevronDown
+							className={cn("w-4 h-4 transition-transform", !open && "-rotate-90")}
+						/>
+					</button>
+				)}
+			</div>
+			{showBody && children}
+		</div>
+	);
+}
@@ -0,0 +1,76 @@
+import { ScanEye } from "lucide-react";
+import { Panel } from "@/components/Panel";
+import { RENDER_MODES, TEXEL_DENSITY_TARGET } from "@/lib/renderModes";
+
+const HELPERS = {
+	vertexNormals: "Vertex normals",
+	vertexTangents: "Vertex tangents",
+};
+
+// Debug views of the model (wireframe, normals, UVs, PBR channels, ...) and
+// normal / tangent line helpers. Switching back to Shaded shows the real
+// materials again.
+export function RenderModePanel({ settings, onChange }) {
+	const update = (changes) => onChange({ ...settings, ...changes });
+
+	return (
+		<Panel
+			icon={ScanEye}
+			iconClassName="text-orange-400"
+			title="Render Mode"
+			collapsible
+			defaultOpen={false}
+		>
+			<div className="space-y-2 text-sm">
+				<label className="block">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Mode
+					</span>
+					<select
+						value={settings.mode}
+						onChange={(e) => update({ mode: e.target.value })}
+						className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+					>
+						{Object.entries(RENDER_MODES).map(([mode, label]) => (
+							<option key={mode} value={mode}>
+								{label}
+							</option>
+						))}
+					</select>
+				</label>
+
+				{settings.mode === "texelDensity" && (
+					<div className="text-xs text-gray-400">
+						<div className="h-2 rounded bg-gradient-to-r from-blue-500 via-green-500 to-red-500" />
+						<div className="flex justify-between mt-1 tabular-nums">
+							<span>{TEXEL_DENSITY_TARGET / 4}</span>
+							<span>{TEXEL_DENSITY_TARGET} texels / unit</span>
+							<span>{TEXEL_DENSITY_TARGET * 4}</span>
+						</div>
+						<p className="mt-1 text-gray-500">Gray: no base color texture.</p>
+					</div>
+				)}
+				{settings.mode === "overdraw" && (
+					<p className="text-xs text-gray-500">
+						Brighter areas are covered by more layers of surfaces.
+					</p>
+				)}
+
+				{Object.entries(HELPERS).map(([key, label]) => (
+					<label
+						key={key}
+						className="flex items-center justify-between gap-2 cursor-pointer"
+					>
+						<span>{label}</span>
+						<input
+							type="checkbox"
+							checked={settings[key]}
+							onChange={(e) => update({ [key]: e.target.checked })}
+							className="accent-orange-400"
+						/>
+					</label>
+				))}
+			</div>
+		</Panel>
+	);
+}
@@ -0,0 +1,233 @@
+import {
+	Bone,
+	Box,
+	Camera,
+	ChevronRight,
+	Eye,
+	EyeOff,
+	Focus,
+	Group,
+	Lightbulb,
+	ListTree,
+	Sparkles,
+	Spline,
+} from "lucide-react";
+import { useState } from "react";
+import { Panel } from "@/components/Panel";
+import { getNodeDetails, matchesNodeQuery, NODE_TYPES } from "@/lib/sceneGraph";
+import { cn } from "@/lib/utils";
+
+const NODE_ICONS = {
+	mesh: Box,
+	skinnedMesh: Box,
+	points: Sparkles,
+	line: Spline,
+	bone: Bone,
+	light: Lightbulb,
+	camera: Camera,
+	group: Group,
+};
+
+function formatVector(values, digits = 2) {
+	return values.map((value) => value.toFixed(digits)).join(", ");
+}
+
+function Detail({ label, children }) {
+	return (
+		<div className="flex justify-between gap-2">
+			<span className="text-gray-500 shrink-0">{label}</span>
+			<span className="text-right truncate tabular-nums">{children}</span>
+		</div>
+	);
+}
+
+function NodeDetails({ node }) {
+	const details = getNodeDetails(node.object);
+	return (
+		<div className="mt-3 pt-3 border-t border-white/10 space-y-1 text-xs text-gray-300">
+			<span className="block text-xs text-gray-500 uppercase mb-1 truncate">
+				{node.name}
+			</span>
+			<Detail label="Type">{NODE_TYPES[node.type]}</Detail>
+			<Detail label="Position">{formatVector(details.position)}</Detail>
+			<Detail label="Rotation">{formatVector(details.rotation, 1)}°</Detail>
+			<Detail label="Scale">{formatVector(details.scale)}</Detail>
+			<Detail label="Children">{details.children}</Detail>
+			{details.geometry && (
+				<>
+					<Detail label="Vertices">
+						{details.geometry.vertices.toLocaleString()}
+					</Detail>
+					{details.geometry.triangles > 0 && (
+						<Detail label="Triangles">
+							{details.geometry.triangles.toLocaleString()}
+						</Detail>
+					)}
+					<Detail label="Indexed">{details.geometry.indexed ? "Yes" : "No"}</Detail>
+					<Detail label="Attributes">
+						<span title={details.geometry.attributes.join(", ")}>
+							{details.geometry.attributes.join(", ")}
+						</span>
+					</Detail>
+					{details.geometry.morphTargets > 0 && (
+						<Detail label="Morph targets">{details.geometry.morphTargets}</Detail>
+					)}
+				</>
+			)}
+			{details.materials?.map((material, index) => (
+				<Detail key={index} label={index === 0 ? "Material" : ""}>
+					<span title={material.type}>{material.name}</span>
+				</Detail>
+			))}
+			{details.skin && <Detail label="Bones">{details.skin.bones}</Detail>}
+			{details.light && (
+				<>
+					<Detail label="Light">{details.light.type}</Detail>
+					<Detail label="Color">{details.light.color}</Detail>
+					<Detail label="Intensity">{details.light.intensity.toFixed(2)}</Detail>
+				</>
+			)}
+			{details.camera && (
+				<Detail label="Camera">
+					{details.camera.type}
+					{details.camera.fov !== undefined && `, ${details.camera.fov.toFixed(1)}° fov`}
+				</Detail>
+			)}
+		</div>
+	);
+}
+
+// Collapsible tree of the loaded model. Each node can be hidden, isolated
+// (everything outside its subtree hidden) or selected, which highlights it
+// in the viewport and lists its details below the tree.
+export function SceneGraphPanel({
+	tree,
+	hidden,
+	isolatedId,
+	selected,
+	onToggleHidden,
+	onIsolate,
+	onSelect,
+}) {
+	const [expanded, setExpanded] = useState(() => new Set([tree.id]));
+	const [filter, setFilter] = useState("");
+	const query = filter.trim().toLowerCase();
+
+	const toggleExpanded = (id) => {
+		setExpanded((value) => {
+			const next = new Set(value);
+			if (next.has(id)) {
+				next.delete(id);
+			} else {
+				next.add(id);
+			}
+			return next;
+		});
+	};
+
+	// Filtering shows the matches with their ancestors, fully expanded
+	const renderNode = (node, depth) => {
+		if (query && !matchesNodeQuery(node, query)) return null;
+
+		const Icon = NODE_ICONS[node.type];
+		const isOpen = query ? true : expanded.has(node.id);
+		const isHidden = hidden.has(node.id);
+		const isIsolated = isolatedId === node.id;
+		const isSelected = selected?.id === node.id;
+
+		return (
+			<li key={node.id}>
+				<div
+					className={cn(
+						"group flex items-center gap-1 rounded pr-1 text-sm",
+						isSelected ? "bg-yellow-500/20 text-yellow-200" : "text-gray-300 hover:bg-white/5",
+						isHidden && "opacity-50",
+					)}
+					style={{ paddingLeft: depth * 12 }}
+				>
+					<button
+						type="button"
+						onClick={() => toggleExpanded(node.id)}
+						className={cn(
+							"p-0.5 text-gray-500 hover:text-white",
+							node.children.length === 0 && "invisible",
+						)}
+						aria-label={isOpen ? "Collapse" : "Expand"}
+					>
+						<ChevronRight
+							className={cn("w-3 h-3 transition-transform", isOpen && "rotate-90")}
+						/>
+					</button>
+					<button
+						type="button"
+						onClick={() => onSelect(isSelected ? null : node)}
+						className="flex-1 min-w-0 flex items-center gap-1.5 py-1 text-left"
+						title={`${node.name} (${NODE_TYPES[node.type]})`}
+					>
+						<Icon className="w-3.5 h-3.5 shrink-0 text-gray-500" />
+						<span className="truncate">{node.name}</span>
+					</button>
+					<button
+						type="button"
+						onClick={() => onIsolate(isIsolated ? null : node.id)}
+						className={cn(
+							"p-0.5 transition-colors",
+							isIsolated
+								? "text-yellow-300"
+								: "text-gray-500 hover:text-white opacity-0 group-hover:opacity-100 focus:opacity-100",
+						)}
+						aria-label={isIsolated ? "Show all" : "Isolate"}
+						title={isIsolated ? "Show all" : "Isolate"}
+					>
+						<Focus className="w-3.5 h-3.5" />
+					</button>
+					<button
+						type="button"
+						onClick={() => onToggleHidden(node.id)}
+						className="p-0.5 text-gray-500 hover:text-white transition-colors"
+						aria-label={isHidden ? "Show" : "Hide"}
+						title={isHidden ? "Show" : "Hide"}
+					>
+						{isHidden ? <EyeOff className="w-3.5 h-3.5" /> : <Eye className="w-3.5 h-3.5" />}
+					</button>
+				</div>
+				{isOpen && node.children.length > 0 && (
+					<ul>{node.children.map((child) => renderNode(child, depth + 1))}</ul>
+				)}
+			</li>
+		);
+	};
+
+	return (
+		<Panel
+			icon={ListTree}
+			iconClassName="text-yellow-400"
+			title="Scene Graph"
+			collapsible
+			defaultOpen={false}
+			actions={
+				isolatedId !== null && (
+					<button
+						type="button"
+						onClick={() => onIsolate(null)}
+						className="text-xs text-gray-400 hover:text-white transition-colors"
+					>
+						Show all
+					</button>
+				)
+			}
+		>
+			<input
+				type="search"
+				value={filter}
+				onChange={(e) => setFilter(e.target.value)}
+				placeholder="Filter nodes"
+				className="w-full mb-2 bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white placeholder:text-gray-500"
+			/>
+			<ul className="max-h-64 overflow-y-auto pr-1 custom-scrollbar">
+				{renderNode(tree, 0)}
+			</ul>
+			{selected && <NodeDetails node={selected} />}
+		</Panel>
+	);
+}
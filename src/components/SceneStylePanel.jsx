@@ -0,0 +1,175 @@
+import { Palette } from "lucide-react";
+import { Panel } from "@/components/Panel";
+import {
+	BACKGROUND_STYLES,
+	BOX_DEPTH_RANGE,
+	DEFAULT_SCENE_STYLE,
+	GRID_DIVISIONS_RANGE,
+	WALLS,
+	WALL_STYLES,
+} from "@/lib/sceneStyle";
+
+function Select({ label, value, options, onChange }) {
+	return (
+		<label className="block">
+			<span className="block text-xs text-gray-500 uppercase mb-1">
+				{label}
+			</span>
+			<select
+				value={value}
+				onChange={(e) => onChange(e.target.value)}
+				className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+			>
+				{Object.entries(options).map(([key, optionLabel]) => (
+					<option key={key} value={key}>
+						{optionLabel}
+					</option>
+				))}
+			</select>
+		</label>
+	);
+}
+
+function Slider({ label, value, range, onChange }) {
+	return (
+		<label className="block text-xs">
+			<span className="flex justify-between text-gray-400">
+				<span>{label}</span>
+				<span className="tabular-nums">{value}</span>
+			</span>
+			<input
+				type="range"
+				{...range}
+				value={value}
+				onChange={(e) => onChange(Number(e.target.value))}
+				className="w-full accent-cyan-400"
+			/>
+		</label>
+	);
+}
+
+function ColorField({ label, value, onChange }) {
+	return (
+		<label className="flex items-center justify-between gap-2 text-sm">
+			<span>{label}</span>
+			<input
+				type="color"
+				value={value}
+				onChange={(e) => onChange(e.target.value)}
+				className="w-8 h-6 bg-transparent border border-white/10 rounded cursor-pointer"
+			/>
+		</label>
+	);
+}
+
+// Virtual box dimensions, grid, wall and background styling
+export function SceneStylePanel({ style, onChange }) {
+	const update = (changes) => onChange({ ...style, ...changes });
+	const hidden = new Set(style.hiddenWalls);
+
+	const toggleWall = (wall, visible) => {
+		const next = new Set(hidden);
+		if (visible) next.delete(wall);
+		else next.add(wall);
+		update({ hiddenWalls: Object.keys(WALLS).filter((key) => next.has(key)) });
+	};
+
+	return (
+		<Panel
+			icon={Palette}
+			iconClassName="text-cyan-400"
+			title="Scene"
+			collapsible
+			defaultOpen={false}
+			actions={
+				<button
+					type="button"
+					onClick={() => onChange({ ...DEFAULT_SCENE_STYLE })}
+					className="text-xs text-gray-400 hover:text-white transition-colors"
+				>
+					Reset
+				</button>
+			}
+		>
+			<div className="space-y-2">
+				<Slider
+					label="Box depth"
+					value={style.boxDepth}
+					range={BOX_DEPTH_RANGE}
+					onChange={(boxDepth) => update({ boxDepth })}
+				/>
+				<Slider
+					label="Grid divisions"
+					value={style.gridDivisions}
+					range={GRID_DIVISIONS_RANGE}
+					onChange={(gridDivisions) => update({ gridDivisions })}
+				/>
+				<ColorField
+					label="Line color"
+					value={style.lineColor}
+					onChange={(lineColor) => update({ lineColor })}
+				/>
+
+				<Select
+					label="Walls"
+					value={style.wallStyle}
+					options={WALL_STYLES}
+					onChange={(wallStyle) => update({ wallStyle })}
+				/>
+				{style.wallStyle !== "wireframe" && (
+					<ColorField
+						label={style.wallStyle === "gradient" ? "Near color" : "Wall color"}
+						value={style.wallColor}
+						onChange={(wallColor) => update({ wallColor })}
+					/>
+				)}
+				{style.wallStyle === "gradient" && (
+					<ColorField
+						label="Far color"
+						value={style.wallColor2}
+						onChange={(wallColor2) => update({ wallColor2 })}
+					/>
+				)}
+
+				<Select
+					label="Background"
+					value={style.background}
+					options={BACKGROUND_STYLES}
+					onChange={(background) => update({ background })}
+				/>
+				<ColorField
+					label={style.background === "gradient" ? "Bottom color" : "Color"}
+					value={style.backgroundColor}
+					onChange={(backgroundColor) => update({ backgroundColor })}
+				/>
+				{style.background === "gradient" && (
+					<ColorField
+						label="Top color"
+						value={style.backgroundColor2}
+						onChange={(backgroundColor2) => update({ backgroundColor2 })}
+					/>
+				)}
+
+				<div className="space-y-1 pt-1 text-sm">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Visible walls
+					</span>
+					{Object.entries(WALLS).map(([wall, label]) => (
+						<label
+							key={wall}
+							className="flex items-center justify-between gap-2 cursor-pointer"
+						>
+							<span>{label}</span>
+							<input
+								type="checkbox"
+								checked={!hidden.has(wall)}
+								onChange={(e) => toggleWall(wall, e.target.checked)}
+								className="accent-cyan-400"
+							/>
+						</label>
+					))}
+				</div>
+			</div>
+		</Panel>
+	);
+}
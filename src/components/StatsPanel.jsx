@@ -0,0 +1,170 @@
+import { ChartColumn, CircleCheck, Download, Info, TriangleAlert } from "lucide-react";
+import { Panel } from "@/components/Panel";
+import { formatBytes } from "@/lib/modelStats";
+import { cn } from "@/lib/utils";
+
+// Affected items listed per issue before collapsing into a count
+const MAX_ISSUE_ITEMS = 5;
+
+function Stat({ label, value }) {
+	return (
+		<div>
+			<span className="block text-xs text-gray-500 uppercase">{label}</span>
+			<span className="text-xs tabular-nums">{value}</span>
+		</div>
+	);
+}
+
+function Section({ title, children }) {
+	return (
+		<div className="space-y-1">
+			<span className="block text-xs text-gray-500 uppercase">{title}</span>
+			{children}
+		</div>
+	);
+}
+
+// Extended statistics and the validation report of the loaded model, with a
+// JSON export of both
+export function StatsPanel({ stats, issues, onRefresh, onExport }) {
+	const { textures, morphTargets, animations, extensions } = stats;
+
+	return (
+		<Panel
+			icon={ChartColumn}
+			iconClassName="text-cyan-400"
+			title="Statistics"
+			collapsible
+			defaultOpen={false}
+			actions={
+				<button
+					type="button"
+					onClick={onRefresh}
+					className="text-xs text-gray-400 hover:text-white transition-colors"
+					title="Recount after editing materials or textures"
+				>
+					Refresh
+				</button>
+			}
+		>
+			<div className="space-y-3 text-sm">
+				<div className="grid grid-cols-3 gap-2">
+					<Stat label="Draws" value={stats.drawCalls.toLocaleString()} />
+					<Stat label="Meshes" value={stats.meshes.toLocaleString()} />
+					<Stat label="Materials" value={stats.materials.toLocaleString()} />
+					<Stat label="Textures" value={textures.count.toLocaleString()} />
+					<Stat label="Skins" value={stats.skins.toLocaleString()} />
+					<Stat label="Bones" value={stats.bones.toLocaleString()} />
+					{stats.lines > 0 && <Stat label="Lines" value={stats.lines.toLocaleString()} />}
+					{stats.points > 0 && (
+						<Stat label="Points" value={stats.points.toLocaleString()} />
+					)}
+					{morphTargets.targets > 0 && (
+						<Stat
+							label="Morphs"
+							value={`${morphTargets.targets} / ${morphTargets.meshes} mesh${morphTargets.meshes === 1 ? "" : "es"}`}
+						/>
+					)}
+				</div>
+
+				{textures.count > 0 && (
+					<Section title={`Texture memory · ${formatBytes(textures.bytes)}`}>
+						{textures.groups.map((group) => (
+							<div
+								key={`${group.resolution} ${group.format}`}
+								className="flex justify-between gap-2 text-xs"
+							>
+								<span className="text-gray-400 truncate">
+									{group.count}× {group.resolution} {group.format}
+								</span>
+								<span className="tabular-nums">{formatBytes(group.bytes)}</span>
+							</div>
+						))}
+					</Section>
+				)}
+
+				{animations.length > 0 && (
+					<Section title={`Animations · ${animations.length}`}>
+						{animations.map((clip, index) => (
+							<div key={index} className="flex justify-between gap-2 text-xs">
+								<span className="text-gray-400 truncate" title={clip.name}>
+									{clip.name || `Clip ${index + 1}`}
+								</span>
+								<span className="tabular-nums">{clip.duration.toFixed(2)}s</span>
+							</div>
+						))}
+					</Section>
+				)}
+
+				{extensions.used.length > 0 && (
+					<Section title="glTF extensions">
+						<div className="flex flex-wrap gap-1">
+							{extensions.used.map((name) => (
+								<span
+									key={name}
+									className={cn(
+										"rounded px-1.5 py-0.5 text-[10px]",
+										extensions.required.includes(name)
+											? "bg-cyan-500/20 text-cyan-200"
+											: "bg-white/10 text-gray-300",
+									)}
+									title={extensions.required.includes(name) ? "Required" : "Used"}
+								>
+									{name}
+								</span>
+							))}
+						</div>
+					</Section>
+				)}
+
+				<Section title="Validation">
+					{issues.length === 0 && (
+						<p className="flex items-center gap-1.5 text-xs text-emerald-300">
+							<CircleCheck className="w-3.5 h-3.5" />
+							No issues found.
+						</p>
+					)}
+					{issues.map((issue) => {
+						const Icon = issue.severity === "warning" ? TriangleAlert : Info;
+						return (
+							<div key={issue.id} className="text-xs">
+								<div
+									className={cn(
+										"flex items-start gap-1.5",
+										issue.severity === "warning" ? "text-amber-300" : "text-sky-300",
+									)}
+								>
+									<Icon className="w-3.5 h-3.5 shrink-0 mt-px" />
+									<span>
+										{issue.label} ({issue.items.length})
+									</span>
+								</div>
+								<ul className="pl-5 text-gray-400">
+									{issue.items.slice(0, MAX_ISSUE_ITEMS).map((item) => (
+										<li key={item} className="truncate" title={item}>
+											{item}
+										</li>
+									))}
+									{issue.items.length > MAX_ISSUE_ITEMS && (
+										<li className="italic">
+											and {issue.items.length - MAX_ISSUE_ITEMS} more
+										</li>
+									)}
+								</ul>
+							</div>
+						);
+					})}
+				</Section>
+
+				<button
+					type="button"
+					onClick={onExport}
+					className="w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 py-1.5 rounded text-xs font-medium transition-colors"
+				>
+					<Download className="w-3.5 h-3.5" />
+					Export report
+				</button>
+			</div>
+		</Panel>
+	);
+}
@@ -0,0 +1,310 @@
+import { Circle, CircleStop, Ruler, ScanFace, Upload } from "lucide-react";
+import { useEffect, useRef } from "react";
+import { FilterControls } from "@/components/FilterControls";
+import { Panel } from "@/components/Panel";
+import { GESTURES } from "@/lib/gestures";
+import { cn } from "@/lib/utils";
+
+export const trackingStatusCopy = {
+	disabled: { label: "Tracking off", tone: "idle" },
+	initializing: { label: "Starting tracking...", tone: "busy" },
+	active: { label: "Tracking active", tone: "ok" },
+	"no-face": { label: "No face detected", tone: "warn" },
+	"permission-denied": {
+		label: "Camera permission denied",
+		hint: "Allow camera access in the browser's site settings, then re-enable tracking.",
+		tone: "error",
+	},
+	"no-camera": {
+		label: "No camera found",
+		hint: "Connect a camera or pick another device.",
+		tone: "error",
+	},
+	"camera-error": {
+		label: "Camera could not be started",
+		hint: "The camera may be in use by another application.",
+		tone: "error",
+	},
+	"model-failed": {
+		label: "Tracking models failed to load",
+		hint: "See the README's offline tracking section.",
+		tone: "error",
+	},
+};
+
+const toneClasses = {
+	idle: "bg-gray-500",
+	busy: "bg-blue-400 animate-pulse",
+	ok: "bg-green-400",
+	warn: "bg-amber-400",
+	error: "bg-red-400",
+};
+
+const PREVIEW_WIDTH = 192;
+const PREVIEW_HEIGHT = 144;
+
+function drawLandmarks(ctx, landmarks, color, radius) {
+	ctx.fillStyle = color;
+	for (const point of landmarks) {
+		ctx.beginPath();
+		ctx.arc(
+			point.x * PREVIEW_WIDTH,
+			point.y * PREVIEW_HEIGHT,
+			radius,
+			0,
+			Math.PI * 2,
+		);
+		ctx.fill();
+	}
+}
+
+// Mirrored webcam preview with the latest face and hand landmarks overlaid
+function TrackingPreview({ videoRef, landmarksRef }) {
+	const canvasRef = useRef(null);
+
+	useEffect(() => {
+		const ctx = canvasRef.current?.getContext("2d");
+		if (!ctx) return;
+
+		let frame;
+		const draw = () => {
+			frame = requestAnimationFrame(draw);
+			const video = videoRef.current;
+			const { face, hands } = landmarksRef.current;
+
+			ctx.save();
+			ctx.clearRect(0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+			ctx.translate(PREVIEW_WIDTH, 0);
+			ctx.scale(-1, 1);
+			if (video && video.readyState >= 2) {
+				ctx.drawImage(video, 0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+			}
+			if (face) {
+				drawLandmarks(ctx, face, "rgba(96, 165, 250, 0.8)", 0.75);
+			}
+			for (const hand of hands) {
+				drawLandmarks(ctx, hand, "rgba(74, 222, 128, 0.9)", 2);
+			}
+			ctx.restore();
+		};
+		draw();
+
+		return () => cancelAnimationFrame(frame);
+	}, [videoRef, landmarksRef]);
+
+	return (
+		<canvas
+			ref={canvasRef}
+			width={PREVIEW_WIDTH}
+			height={PREVIEW_HEIGHT}
+			className="mt-3 w-full rounded border border-white/10 bg-black"
+		/>
+	);
+}
+
+export function TrackingPanel({
+	status,
+	enabled,
+	onEnabledChange,
+	cameras,
+	deviceId,
+	onDeviceChange,
+	showPreview,
+	onShowPreviewChange,
+	videoRef,
+	landmarksRef,
+	calibrated,
+	onCalibrate,
+	filterSettings,
+	onFilterSettingsChange,
+	gestureSettings,
+	onGestureSettingsChange,
+	activeGesture,
+	sessionRecording,
+	onSessionRecordingChange,
+	replayName,
+	onReplayFile,
+	onStopReplay,
+}) {
+	const sessionInputRef = useRef(null);
+	const copy = trackingStatusCopy[status];
+	const cameraRunning = status === "active" || status === "no-face";
+
+	return (
+		<Panel
+			icon={ScanFace}
+			iconClassName="text-purple-400"
+			title="Tracking"
+			collapsible
+			className="w-64"
+			actions={
+				<span
+					className={cn("w-2 h-2 rounded-full", toneClasses[copy.tone])}
+					title={copy.label}
+				/>
+			}
+		>
+			<div className="space-y-3 text-sm text-gray-300">
+				<div>
+					<span className="block text-white">{copy.label}</span>
+					{copy.hint && (
+						<span className="block text-xs text-gray-500 mt-1">
+							{copy.hint}
+						</span>
+					)}
+				</div>
+
+				<label className="flex items-center justify-between gap-2 cursor-pointer">
+					<span>Enable tracking</span>
+					<input
+						type="checkbox"
+						checked={enabled}
+						onChange={(e) => onEnabledChange(e.target.checked)}
+						disabled={!!replayName}
+						className="accent-purple-400"
+					/>
+				</label>
+
+				{cameras.length > 0 && (
+					<label className="block">
+						<span className="block text-xs text-gray-500 uppercase mb-1">
+							Camera
+						</span>
+						<select
+							value={deviceId ?? ""}
+							onChange={(e) => onDeviceChange(e.target.value || null)}
+							disabled={!enabled || !!replayName}
+							className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white disabled:opacity-50"
+						>
+							<option value="">Default camera</option>
+							{cameras.map((camera) => (
+								<option key={camera.deviceId} value={camera.deviceId}>
+									{camera.label}
+								</option>
+							))}
+						</select>
+					</label>
+				)}
+
+				<label className="flex items-center justify-between gap-2 cursor-pointer">
+					<span>Show camera preview</span>
+					<input
+						type="checkbox"
+						checked={showPreview}
+						onChange={(e) => onShowPreviewChange(e.target.checked)}
+						disabled={!cameraRunning}
+						className="accent-purple-400"
+					/>
+				</label>
+
+				<div className="space-y-1">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Gestures
+					</span>
+					{Object.entries(GESTURES).map(([gesture, label]) => (
+						<label
+							key={gesture}
+							className={cn(
+								"flex items-center justify-between gap-2 cursor-pointer text-xs",
+								activeGesture === gesture && "text-purple-300",
+							)}
+						>
+							<span>{label}</span>
+							<input
+								type="checkbox"
+								checked={gestureSettings[gesture]}
+								onChange={(e) =>
+									onGestureSettingsChange({
+										...gestureSettings,
+										[gesture]: e.target.checked,
+									})
+								}
+								className="accent-purple-400"
+							/>
+						</label>
+					))}
+				</div>
+
+				<FilterControls
+					settings={filterSettings}
+					onChange={onFilterSettingsChange}
+				/>
+
+				<div className="space-y-1">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Session
+					</span>
+					{replayName ? (
+						<div className="flex items-center justify-between gap-2 text-xs">
+							<span className="truncate text-purple-300" title={replayName}>
+								Replaying {replayName}
+							</span>
+							<button
+								type="button"
+								onClick={onStopReplay}
+								className="text-gray-400 hover:text-white transition-colors"
+							>
+								Stop
+							</button>
+						</div>
+					) : (
+						<div className="flex gap-2">
+							<button
+								type="button"
+								onClick={() => onSessionRecordingChange(!sessionRecording)}
+								disabled={!cameraRunning && !sessionRecording}
+								className={cn(
+									"flex-1 flex items-center justify-center gap-1.5 py-1.5 rounded text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed",
+									sessionRecording
+										? "bg-red-500/30 text-red-200"
+										: "bg-white/10 hover:bg-white/20 text-white",
+								)}
+								title="Record the face and hand landmarks to a JSON file"
+							>
+								{sessionRecording ? (
+									<CircleStop className="w-3.5 h-3.5" />
+								) : (
+									<Circle className="w-3.5 h-3.5 text-red-400" />
+								)}
+								{sessionRecording ? "Stop & save" : "Record"}
+							</button>
+							<button
+								type="button"
+								onClick={() => sessionInputRef.current?.click()}
+								disabled={sessionRecording}
+								className="flex-1 flex items-center justify-center gap-1.5 bg-white/10 hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed py-1.5 rounded text-xs font-medium text-white transition-colors"
+								title="Replay a recorded session instead of the camera"
+							>
+								<Upload className="w-3.5 h-3.5" />
+								Replay
+							</button>
+						</div>
+					)}
+					<input
+						ref={sessionInputRef}
+						type="file"
+						accept=".json,application/json"
+						className="hidden"
+						onChange={(e) => {
+							if (e.target.files[0]) onReplayFile(e.target.files[0]);
+							e.target.value = "";
+						}}
+					/>
+				</div>
+
+				<button
+					type="button"
+					onClick={onCalibrate}
+					className="w-full flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 active:bg-white/30 transition-colors py-2 px-3 rounded text-sm font-medium text-white"
+				>
+					<Ruler className="w-4 h-4" />
+					{calibrated ? "Recalibrate" : "Calibrate"}
+				</button>
+			</div>
+
+			{showPreview && cameraRunning && (
+				<TrackingPreview videoRef={videoRef} landmarksRef={landmarksRef} />
+			)}
+		</Panel>
+	);
+}
@@ -0,0 +1,110 @@
+import { Move3d, RotateCcw } from "lucide-react";
+import { Panel } from "@/components/Panel";
+import { FRAMING_MODES } from "@/lib/modelTransform";
+
+const OFFSET_AXES = ["X", "Y", "Z"];
+
+function Slider({ label, value, display, min, max, step, onChange }) {
+	return (
+		<label className="block text-xs">
+			<span className="flex justify-between text-gray-400">
+				<span>{label}</span>
+				<span className="tabular-nums">{display}</span>
+			</span>
+			<input
+				type="range"
+				min={min}
+				max={max}
+				step={step}
+				value={value}
+				onChange={(e) => onChange(Number(e.target.value))}
+				className="w-full accent-emerald-400"
+			/>
+		</label>
+	);
+}
+
+// Framing mode plus manual zoom and offset on top of it. Rotation comes from
+// the gesture, mouse, touch and keyboard inputs.
+export function ViewPanel({
+	framing,
+	onFramingChange,
+	viewState,
+	onViewStateChange,
+	onReset,
+}) {
+	const setOffset = (axis, value) => {
+		const offset = [...viewState.offset];
+		offset[axis] = value;
+		onViewStateChange({ ...viewState, offset });
+	};
+
+	return (
+		<Panel
+			icon={Move3d}
+			iconClassName="text-emerald-400"
+			title="View"
+			collapsible
+			defaultOpen={false}
+			actions={
+				<button
+					type="button"
+					onClick={onReset}
+					className="text-gray-400 hover:text-white transition-colors"
+					aria-label="Reset view"
+					title="Reset view"
+				>
+					<RotateCcw className="w-4 h-4" />
+				</button>
+			}
+		>
+			<div className="space-y-2">
+				<label className="block">
+					<span className="block text-xs text-gray-500 uppercase mb-1">
+						Framing
+					</span>
+					<select
+						value={framing.mode}
+						onChange={(e) => onFramingChange({ ...framing, mode: e.target.value })}
+						className="w-full bg-white/10 border border-white/10 rounded px-2 py-1 text-sm text-white"
+					>
+						{Object.entries(FRAMING_MODES).map(([mode, label]) => (
+							<option key={mode} value={mode}>
+								{label}
+							</option>
+						))}
+					</select>
+				</label>
+
+				{viewState && (
+					<>
+						{/* Zoom on a log scale, so 0.1× and 10× are equally far from 1× */}
+						<Slider
+							label="Zoom"
+							value={Math.log10(viewState.zoom)}
+							display={`${viewState.zoom.toFixed(2)}×`}
+							min={-1}
+							max={1}
+							step={0.01}
+							onChange={(value) =>
+								onViewStateChange({ ...viewState, zoom: 10 ** value })
+							}
+						/>
+						{OFFSET_AXES.map((axis, index) => (
+							<Slider
+								key={axis}
+								label={`Offset ${axis}`}
+								value={viewState.offset[index]}
+								display={viewState.offset[index].toFixed(2)}
+								min={-10}
+								max={10}
+								step={0.05}
+								onChange={(value) => setOffset(index, value)}
+							/>
+						))}
+					</>
+				)}
+			</div>
+		</Panel>
+	);
+}
@@ -0,0 +1,182 @@
+import * as THREE from "three";
+import { loadSetting, saveSetting } from "@/lib/storage";
+
+// Animation playback on a model's AnimationMixer. One clip is the primary
+// (the one the timeline shows and crossfades switch between); more clips can
+// be layered on top, each blended in with its own weight.
+
+export const LOOP_MODES = {
+	once: { label: "Once", loop: THREE.LoopOnce },
+	repeat: { label: "Repeat", loop: THREE.LoopRepeat },
+	pingPong: { label: "Ping-pong", loop: THREE.LoopPingPong },
+};
+
+export const DEFAULT_PLAYBACK = {
+	speed: 1,
+	loop: "repeat",
+	crossfade: 0.5, // seconds
+};
+
+const PLAYBACK_KEY = "model-viewer.playback";
+
+export function loadPlaybackSettings() {
+	const stored = loadSetting(PLAYBACK_KEY, DEFAULT_PLAYBACK);
+	return LOOP_MODES[stored.loop] ? stored : { ...stored, loop: "repeat" };
+}
+
+export function savePlaybackSettings(settings) {
+	saveSetting(PLAYBACK_KEY, settings);
+}
+
+export function createAnimationController(model, clips, onFinished) {
+	const mixer = new THREE.AnimationMixer(model);
+	const actions = clips.map((clip) => mixer.clipAction(clip));
+	let playing = false;
+	let stopping = false; // fading everything out after stopAll
+	let speed = DEFAULT_PLAYBACK.speed;
+	let loop = DEFAULT_PLAYBACK.loop;
+	let posed = false; // the pose changed outside update()
+
+	// Pausing freezes the mixer in place rather than stopping the actions,
+	// but a stop keeps it running so the fade back to the rest pose completes
+	const applyTimeScale = () => {
+		mixer.timeScale = playing || stopping ? speed : 0;
+	};
+	applyTimeScale();
+
+	const configure = (action) => {
+		action.setLoop(LOOP_MODES[loop].loop, Infinity);
+		action.clampWhenFinished = loop === "once";
+	};
+
+	mixer.addEventListener("finished", (e) => {
+		onFinished?.(actions.indexOf(e.action));
+	});
+
+	return {
+		// Advances the mixer; returns whether the model's pose may have changed
+		update(delta) {
+			mixer.update(delta);
+			const changed =
+				posed ||
+				(mixer.timeScale !== 0 && actions.some((action) => action.isRunning()));
+			posed = false;
+			return changed;
+		},
+
+		// Starts a clip from the beginning at `weight`, fading in over `fade` seconds
+		start(index, weight, fade) {
+			const action = actions[index];
+			stopping = false;
+			applyTimeScale();
+			configure(action);
+			action.reset();
+			action.weight = weight;
+			action.play();
+			if (fade > 0) action.fadeIn(fade);
+			posed = true;
+		},
+
+		stop(index, fade) {
+			const action = actions[index];
+			if (fade > 0) {
+				action.fadeOut(fade);
+			} else {
+				action.stop();
+			}
+			posed = true;
+		},
+
+		stopAll(fade) {
+			stopping = fade > 0;
+			applyTimeScale();
+			for (const action of actions) {
+				if (!action.isScheduled()) continue;
+				if (fade > 0) {
+					action.fadeOut(fade);
+				} else {
+					action.stop();
+				}
+			}
+			posed = true;
+		},
+
+		setWeight(index, weight) {
+			actions[index].weight = weight;
+			posed = true;
+		},
+
+		// Jumps to a time and poses the model there, even while paused
+		seek(index, time) {
+			const action = actions[index];
+			action.paused = false;
+			action.time = time;
+			mixer.update(0);
+			posed = true;
+		},
+
+		// Every action's play state, time and weight, for restore()
+		snapshot() {
+			return {
+				stopping,
+				actions: actions.map((action) => ({
+					scheduled: action.isScheduled(),
+					paused: action.paused,
+					time: action.time,
+					weight: action.getEffectiveWeight(),
+				})),
+			};
+		},
+
+		// Puts the actions back as they were at snapshot(), with any fades
+		// settled at the weight they had reached
+		restore(snapshot) {
+			stopping = snapshot.stopping;
+			applyTimeScale();
+			actions.forEach((action, index) => {
+				const state = snapshot.actions[index];
+				action.stopFading();
+				if (!state.scheduled) {
+					action.stop();
+					return;
+				}
+				configure(action);
+				action.play();
+				action.paused = state.paused;
+				action.time = state.time;
+				action.weight = state.weight;
+			});
+			mixer.update(0);
+			posed = true;
+		},
+
+		// "Once" clips pause on their last frame when they finish
+		isFinished(index) {
+			return actions[index].paused;
+		},
+
+		getTime(index) {
+			return actions[index].time;
+		},
+
+		setPlaying(value) {
+			playing = value;
+			applyTimeScale();
+		},
+
+		setSpeed(value) {
+			speed = value;
+			applyTimeScale();
+		},
+
+		setLoop(mode) {
+			loop = mode;
+			actions.forEach(configure);
+		},
+
+		dispose() {
+			mixer.stopAllAction();
+			mixer.uncacheRoot(model);
+		},
+	};
+}
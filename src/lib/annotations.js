@@ -0,0 +1,251 @@
+import * as THREE from "three";
+import { CSS2DObject, CSS2DRenderer } from "three/examples/jsm/renderers/CSS2DRenderer.js";
+import { getModelBounds } from "@/lib/modelTransform";
+import { isNodeShown } from "@/lib/sceneGraph";
+
+// Measurement and annotation tools. Picked points are anchored to the mesh
+// they were picked on ({node, position}: the node's child index path from the
+// model root and the point in that node's local space), so they stay on the
+// surface as the model is rotated, re-framed or animated, and survive an
+// export / import as JSON.
+
+export const ANNOTATIONS_FILE_VERSION = 1;
+
+// Source units: glTF is in meters, other formats have no fixed unit
+export function formatLength(value, metric) {
+	if (!metric) return `${Number(value.toPrecision(4))} units`;
+	if (value >= 1) return `${value.toFixed(3)} m`;
+	if (value >= 0.01) return `${(value * 100).toFixed(1)} cm`;
+	return `${(value * 1000).toFixed(1)} mm`;
+}
+
+// Bounding box size in the model's own units, before framing scales it
+export function getModelDimensions(model) {
+	const box = getModelBounds(model);
+	return box.isEmpty() ? null : box.getSize(new THREE.Vector3()).toArray();
+}
+
+export function getNodePath(root, object) {
+	const path = [];
+	for (let node = object; node !== root; node = node.parent) {
+		path.unshift(node.parent.children.indexOf(node));
+	}
+	return path;
+}
+
+export function resolveNodePath(root, path) {
+	let node = root;
+	for (const index of path) {
+		node = node?.children[index];
+	}
+	return node ?? null;
+}
+
+// Whether a point was cut away by the object's section planes
+function isClipped(object, point) {
+	const materials = Array.isArray(object.material) ? object.material : [object.material];
+	return materials.some((material) =>
+		material?.clippingPlanes?.some((plane) => plane.distanceToPoint(point) < 0),
+	);
+}
+
+// First visible surface of the model under a viewport position, as an anchor
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+export function pickSurface(model, camera, element, clientX, clientY) {
+	const rect = element.getBoundingClientRect();
+	pointer.set(
+		((clientX - rect.left) / rect.width) * 2 - 1,
+		-((clientY - rect.top) / rect.height) * 2 + 1,
+	);
+	raycaster.setFromCamera(pointer, camera);
+
+	const hit = raycaster
+		.intersectObject(model, true)
+		.find(({ object, point }) => isNodeShown(object) && !isClipped(object, point));
+	if (!hit) return null;
+
+	return {
+		node: getNodePath(model, hit.object),
+		position: hit.object.worldToLocal(hit.point.clone()).toArray(),
+	};
+}
+
+function getAnchorPosition(model, anchor, target) {
+	const node = resolveNodePath(model, anchor.node);
+	if (!node) return null;
+	return node.localToWorld(target.fromArray(anchor.position));
+}
+
+// Distance between two anchors in model units
+export function getAnchorDistance(model, a, b) {
+	const start = getAnchorPosition(model, a, new THREE.Vector3());
+	const end = getAnchorPosition(model, b, new THREE.Vector3());
+	return start && end ? start.distanceTo(end) / model.scale.x : null;
+}
+
+// Validates an imported annotations file: [{text, node, position}]
+export function parseAnnotationsFile(json) {
+	const list = Array.isArray(json) ? json : json?.annotations;
+	if (!Array.isArray(list)) throw new Error("No annotations in file");
+	return list
+		.filter(
+			(entry) =>
+				Array.isArray(entry?.node) &&
+				Array.isArray(entry.position) &&
+				entry.position.length === 3,
+		)
+		.map((entry) => ({
+			text: String(entry.text ?? ""),
+			node: entry.node.map(Number),
+			position: entry.position.map(Number),
+		}));
+}
+
+export function createAnnotationsFile(annotations, modelUrl) {
+	return {
+		version: ANNOTATIONS_FILE_VERSION,
+		model: modelUrl ?? null,
+		annotations: annotations.map(({ text, node, position }) => ({
+			text,
+			node,
+			position,
+		})),
+	};
+}
+
+function createLabel(className, text) {
+	const element = document.createElement("div");
+	element.className = className;
+	element.textContent = text;
+	return new CSS2DObject(element);
+}
+
+// HTML overlay for annotation pins and the current measurement, drawn with
+// CSS2DRenderer over the WebGL canvas. update() re-anchors everything to the
+// model each frame.
+export function createAnnotationLayer(container) {
+	const renderer = new CSS2DRenderer();
+	renderer.setSize(container.clientWidth, container.clientHeight);
+	renderer.domElement.className = "annotation-layer";
+	container.appendChild(renderer.domElement);
+
+	const object = new THREE.Group();
+	let pins = []; // [{anchor, label}]
+	let measurement = null; // {anchors, markers, line, label, metric}
+	const position = new THREE.Vector3();
+
+	const removeLabel = (label) => {
+		object.remove(label);
+		label.element.remove();
+	};
+
+	const clearMeasurement = () => {
+		if (!measurement) return;
+		measurement.markers.forEach(removeLabel);
+		if (measurement.label) removeLabel(measurement.label);
+		if (measurement.line) {
+			object.remove(measurement.line);
+			measurement.line.geometry.dispose();
+			measurement.line.material.dispose();
+		}
+		measurement = null;
+	};
+
+	return {
+		object,
+
+		setAnnotations(annotations) {
+			for (const { label } of pins) removeLabel(label);
+			pins = annotations.map((annotation, index) => {
+				const label = createLabel("annotation-pin", `${index + 1}`);
+				label.center.set(0, 0.5); // see .annotation-pin
+				label.element.title = annotation.text;
+				if (annotation.text) {
+					const text = document.createElement("span");
+					text.textContent = annotation.text;
+					label.element.appendChild(text);
+				}
+				object.add(label);
+				return { anchor: annotation, label };
+			});
+		},
+
+		// One or two anchors; with two, a line and their distance in model units
+		setMeasurement(anchors, metric) {
+			clearMeasurement();
+			if (anchors.length === 0) return;
+
+			const markers = anchors.map(() => createLabel("measure-point", ""));
+			object.add(...markers);
+			measurement = { anchors, markers, line: null, label: null, metric };
+
+			if (anchors.length === 2) {
+				const geometry = new THREE.BufferGeometry().setAttribute(
+					"position",
+					new THREE.Float32BufferAttribute(6, 3),
+				);
+				const line = new THREE.Line(
+					geometry,
+					new THREE.LineBasicMaterial({ color: 0xfbbf24, depthTest: false }),
+				);
+				line.renderOrder = 1;
+				line.frustumCulled = false;
+				object.add(line);
+				measurement.line = line;
+				measurement.label = createLabel("measure-label", "");
+				object.add(measurement.label);
+			}
+		},
+
+		update(model) {
+			for (const { anchor, label } of pins) {
+				const world = model && getAnchorPosition(model, anchor, position);
+				label.visible = !!world;
+				if (world) label.position.copy(world);
+			}
+
+			if (!measurement) return;
+			const points = measurement.anchors.map((anchor) =>
+				model ? getAnchorPosition(model, anchor, new THREE.Vector3()) : null,
+			);
+			points.forEach((point, index) => {
+				measurement.markers[index].visible = !!point;
+				if (point) measurement.markers[index].position.copy(point);
+			});
+
+			const [start, end] = points;
+			if (!measurement.line) return;
+			const visible = !!start && !!end;
+			measurement.line.visible = visible;
+			measurement.label.visible = visible;
+			if (!visible) return;
+
+			const attribute = measurement.line.geometry.attributes.position;
+			attribute.setXYZ(0, start.x, start.y, start.z);
+			attribute.setXYZ(1, end.x, end.y, end.z);
+			attribute.needsUpdate = true;
+			measurement.label.position.lerpVectors(start, end, 0.5);
+			measurement.label.element.textContent = formatLength(
+				start.distanceTo(end) / model.scale.x,
+				measurement.metric,
+			);
+		},
+
+		render(scene, camera) {
+			renderer.render(scene, camera);
+		},
+
+		setSize(width, height) {
+			renderer.setSize(width, height);
+		},
+
+		dispose() {
+			clearMeasurement();
+			for (const { label } of pins) removeLabel(label);
+			pins = [];
+			renderer.domElement.remove();
+		},
+	};
+}
@@ -0,0 +1,188 @@
+import { MODEL_EXTENSIONS } from "@/lib/formats";
+
+// Local asset sets: a model file plus the sibling resources (.bin, .mtl,
+// textures) it references, resolved from a drop or multi-file selection.
+
+// Absolute URLs and root-relative paths (e.g. decoder binaries) are never
+// part of a dropped file set
+const PASSTHROUGH_URL = /^(blob:|data:|https?:|\/)/i;
+
+// Stands in for unresolved resources: a blob URL that was never created, so
+// the request fails right away instead of fetching the path from the app's
+// own origin. The path is kept in it for error reports.
+const MISSING_ASSET_PREFIX = "blob:missing-asset/";
+
+export function getExtension(name) {
+	const index = name.lastIndexOf(".");
+	return index === -1 ? "" : name.slice(index).toLowerCase();
+}
+
+export function isModelFile(name) {
+	return MODEL_EXTENSIONS.includes(getExtension(name));
+}
+
+export function normalizeAssetPath(path) {
+	let decoded = path;
+	try {
+		decoded = decodeURIComponent(path);
+	} catch {
+		// Malformed escapes: match on the raw path
+	}
+
+	const segments = [];
+	const parts = decoded.split(/[?#]/)[0].replace(/\\/g, "/").split("/");
+	for (const segment of parts) {
+		if (segment === "" || segment === ".") continue;
+		if (segment === "..") {
+			segments.pop();
+		} else {
+			segments.push(segment);
+		}
+	}
+	return segments.join("/");
+}
+
+function getBaseName(path) {
+	return path.slice(path.lastIndexOf("/") + 1);
+}
+
+function readDirectoryEntries(directory) {
+	const reader = directory.createReader();
+	const entries = [];
+
+	// readEntries returns results in batches until it yields an empty one
+	return new Promise((resolve, reject) => {
+		const readBatch = () => {
+			reader.readEntries((batch) => {
+				if (batch.length === 0) {
+					resolve(entries);
+					return;
+				}
+				entries.push(...batch);
+				readBatch();
+			}, reject);
+		};
+		readBatch();
+	});
+}
+
+async function collectEntry(entry, results) {
+	if (entry.isFile) {
+		const file = await new Promise((resolve, reject) =>
+			entry.file(resolve, reject),
+		);
+		results.push({ file, path: normalizeAssetPath(entry.fullPath) });
+	} else if (entry.isDirectory) {
+		for (const child of await readDirectoryEntries(entry)) {
+			await collectEntry(child, results);
+		}
+	}
+}
+
+export async function collectDroppedFiles(dataTransfer) {
+	// Entries must be taken synchronously, the DataTransfer is cleared
+	// once the drop event handler returns.
+	const entries = Array.from(dataTransfer.items ?? [])
+		.filter((item) => item.kind === "file")
+		.map((item) => item.webkitGetAsEntry?.())
+		.filter(Boolean);
+
+	if (entries.length === 0) {
+		return collectSelectedFiles(dataTransfer.files);
+	}
+
+	const results = [];
+	for (const entry of entries) {
+		await collectEntry(entry, results);
+	}
+	return results;
+}
+
+export function collectSelectedFiles(fileList) {
+	return Array.from(fileList ?? []).map((file) => ({
+		file,
+		path: normalizeAssetPath(file.webkitRelativePath || file.name),
+	}));
+}
+
+function pickRootEntry(entries) {
+	const candidates = entries.filter(({ path }) => isModelFile(path));
+
+	// Prefer the shallowest model file, so a dropped export folder picks its
+	// top-level scene over any nested variants
+	candidates.sort(
+		(a, b) =>
+			a.path.split("/").length - b.path.split("/").length ||
+			a.path.localeCompare(b.path),
+	);
+	return candidates[0] ?? null;
+}
+
+export function createAssetSet(entries) {
+	const root = pickRootEntry(entries);
+	if (!root) return null;
+
+	const byPath = new Map(); // lowercased relative path -> blob url
+	const byName = new Map(); // lowercased file name -> [blob url]
+	const pathsByUrl = new Map(); // blob url -> relative path
+
+	for (const { file, path } of entries) {
+		const url = URL.createObjectURL(file);
+		const key = path.toLowerCase();
+		const name = getBaseName(key);
+
+		byPath.set(key, url);
+		byName.set(name, [...(byName.get(name) ?? []), url]);
+		pathsByUrl.set(url, path);
+	}
+
+	return {
+		rootPath: root.path,
+		rootName: root.file.name,
+		rootUrl: byPath.get(root.path.toLowerCase()),
+		fileCount: entries.length,
+
+		resolve(url) {
+			const key = normalizeAssetPath(url).toLowerCase();
+			if (byPath.has(key)) {
+				return byPath.get(key);
+			}
+
+			// Flat multi-selects lose the folder structure, so fall back to the
+			// file name when it is unambiguous
+			const matches = byName.get(getBaseName(key));
+			return matches?.length === 1 ? matches[0] : null;
+		},
+
+		pathFor(url) {
+			if (url.startsWith(MISSING_ASSET_PREFIX)) {
+				return decodeURIComponent(url.slice(MISSING_ASSET_PREFIX.length));
+			}
+			return pathsByUrl.get(url) ?? null;
+		},
+
+		dispose() {
+			for (const url of pathsByUrl.keys()) {
+				URL.revokeObjectURL(url);
+			}
+		},
+	};
+}
+
+// LoadingManager URL modifier mapping relative resource URIs onto the asset
+// set; anything it cannot map is reported and replaced by a failing URL.
+export function createAssetUrlModifier(assets, onUnresolved) {
+	return (url) => {
+		if (PASSTHROUGH_URL.test(url)) {
+			return url;
+		}
+
+		const resolved = assets.resolve(url);
+		if (!resolved) {
+			const path = normalizeAssetPath(url);
+			onUnresolved(path);
+			return MISSING_ASSET_PREFIX + encodeURIComponent(path);
+		}
+		return resolved;
+	};
+}
@@ -0,0 +1,46 @@
+// Webcam access for tracking: opening a specific device, listing the
+// available cameras and classifying getUserMedia failures into the
+// tracking states shown in the UI.
+
+const CAMERA_RESOLUTION = { width: 640, height: 480 };
+
+export async function openCamera(deviceId) {
+	if (!navigator.mediaDevices?.getUserMedia) {
+		const error = new Error("Camera API not available");
+		error.name = "NotFoundError";
+		throw error;
+	}
+
+	return navigator.mediaDevices.getUserMedia({
+		video: {
+			...CAMERA_RESOLUTION,
+			...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+		},
+	});
+}
+
+// Labels are only filled in once camera permission has been granted
+export async function listCameras() {
+	if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+	const devices = await navigator.mediaDevices.enumerateDevices();
+	return devices
+		.filter((device) => device.kind === "videoinput")
+		.map((device, index) => ({
+			deviceId: device.deviceId,
+			label: device.label || `Camera ${index + 1}`,
+		}));
+}
+
+export function getCameraErrorStatus(error) {
+	switch (error?.name) {
+		case "NotAllowedError":
+		case "SecurityError":
+			return "permission-denied";
+		case "NotFoundError":
+		case "OverconstrainedError":
+			return "no-camera";
+		default:
+			return "camera-error";
+	}
+}
@@ -0,0 +1,191 @@
+import { ArrayBufferTarget, Muxer } from "webm-muxer";
+import { loadSetting, saveSetting } from "@/lib/storage";
+
+// Stills and short clips of the viewer. Screenshots render larger than the
+// viewport and are downsampled for supersampling; recordings render each
+// frame from its index (turntable angle or clip time), not the realtime
+// clock, and encode them with WebCodecs at timestamps taken from the index
+// too, so the file doesn't depend on how fast the frames render.
+
+export const CAPTURE_SCALES = [1, 2, 4];
+export const SUPERSAMPLING_FACTORS = [1, 2, 4];
+export const VIDEO_HEIGHTS = [480, 720, 1080];
+export const VIDEO_FRAME_RATES = [24, 30, 60];
+
+export const CAPTURE_MODES = {
+	turntable: "360° turntable",
+	animation: "Animation clip",
+};
+
+const CAPTURE_KEY = "model-viewer.capture";
+
+export const DEFAULT_CAPTURE = {
+	scale: 2, // screenshot size relative to the viewport
+	supersampling: 2,
+	transparent: false, // screenshots only
+	mode: "turntable",
+	duration: 6, // seconds per turntable revolution
+	fps: 30,
+	videoHeight: 720,
+};
+
+export const TURNTABLE_DURATION_RANGE = { min: 2, max: 30, step: 1 };
+
+// Largest render we ask for; browsers cap canvas sizes around here even when
+// the GPU allows more
+const MAX_RENDER_SIZE = 8192;
+
+// WebCodecs codec strings with their WebM codec ids, in order of preference
+const VIDEO_CODECS = [
+	{ codec: "vp09.00.10.08", muxerCodec: "V_VP9" },
+	{ codec: "vp8", muxerCodec: "V_VP8" },
+];
+
+const KEY_FRAME_INTERVAL = 2; // seconds
+
+// Frames waiting in the encoder before drawing pauses for it to catch up
+const MAX_ENCODE_QUEUE = 4;
+
+export function loadCaptureSettings() {
+	return loadSetting(CAPTURE_KEY, DEFAULT_CAPTURE);
+}
+
+export function saveCaptureSettings(settings) {
+	saveSetting(CAPTURE_KEY, settings);
+}
+
+// Output size at the viewport's aspect and `height`, and the supersampled
+// render size, lowering the supersampling (then the output) to fit the limit
+export function getCaptureSize(viewWidth, viewHeight, height, supersampling, maxTextureSize) {
+	const limit = Math.min(maxTextureSize, MAX_RENDER_SIZE);
+	const aspect = viewWidth / viewHeight;
+	// Even sizes, which video encoders need
+	let outputHeight = Math.round(height / 2) * 2;
+	let outputWidth = Math.round((outputHeight * aspect) / 2) * 2;
+
+	const largest = Math.max(outputWidth, outputHeight);
+	if (largest > limit) {
+		outputWidth = Math.floor((outputWidth * limit) / largest / 2) * 2;
+		outputHeight = Math.floor((outputHeight * limit) / largest / 2) * 2;
+	}
+
+	let factor = supersampling;
+	while (factor > 1 && Math.max(outputWidth, outputHeight) * factor > limit) {
+		factor /= 2;
+	}
+
+	return {
+		width: outputWidth,
+		height: outputHeight,
+		renderWidth: outputWidth * factor,
+		renderHeight: outputHeight * factor,
+	};
+}
+
+export function createCaptureContext(width, height) {
+	const canvas = document.createElement("canvas");
+	canvas.width = width;
+	canvas.height = height;
+	const context = canvas.getContext("2d");
+	context.imageSmoothingQuality = "high";
+	return context;
+}
+
+export function canvasToBlob(canvas, type = "image/png") {
+	return new Promise((resolve, reject) => {
+		canvas.toBlob(
+			(blob) => (blob ? resolve(blob) : reject(new Error("Failed to encode image"))),
+			type,
+		);
+	});
+}
+
+export function canRecordVideo() {
+	return typeof VideoEncoder !== "undefined";
+}
+
+// Encoder config for the first codec the browser can encode at this size,
+// with its WebM codec id, or null
+async function getVideoEncoding(width, height, fps) {
+	for (const { codec, muxerCodec } of VIDEO_CODECS) {
+		const config = {
+			codec,
+			width,
+			height,
+			framerate: fps,
+			bitrate: Math.round(width * height * fps * 0.15),
+		};
+		const { supported } = await VideoEncoder.isConfigSupported(config);
+		if (supported) return { config, muxerCodec };
+	}
+	return null;
+}
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Records `frameCount` frames drawn by drawFrame(index) into the context's
+// canvas as WebM. Frame `index` is stamped at index / fps seconds however
+// long it took to draw, and every frame is kept. Resolves to null when
+// aborted.
+export async function recordVideo({
+	context,
+	fps,
+	frameCount,
+	drawFrame,
+	onProgress,
+	signal,
+}) {
+	if (!canRecordVideo()) {
+		throw new Error("Video recording isn't supported in this browser");
+	}
+	const { width, height } = context.canvas;
+	const encoding = await getVideoEncoding(width, height, fps);
+	if (!encoding) {
+		throw new Error(`This browser can't encode ${width}×${height} WebM video`);
+	}
+
+	const muxer = new Muxer({
+		target: new ArrayBufferTarget(),
+		video: { codec: encoding.muxerCodec, width, height, frameRate: fps },
+	});
+	let encodeError = null;
+	const encoder = new VideoEncoder({
+		output: (chunk, metadata) => muxer.addVideoChunk(chunk, metadata),
+		error: (error) => {
+			encodeError = error;
+		},
+	});
+	encoder.configure(encoding.config);
+
+	// Microseconds, which is what WebCodecs timestamps are in
+	const timestamp = (frame) => Math.round((frame * 1e6) / fps);
+	const keyFrameInterval = Math.max(1, Math.round(fps * KEY_FRAME_INTERVAL));
+
+	try {
+		for (let frame = 0; frame < frameCount; frame++) {
+			if (signal?.aborted) return null;
+			if (encodeError) throw encodeError;
+
+			drawFrame(frame);
+			const videoFrame = new VideoFrame(context.canvas, {
+				timestamp: timestamp(frame),
+				duration: timestamp(frame + 1) - timestamp(frame),
+			});
+			encoder.encode(videoFrame, { keyFrame: frame % keyFrameInterval === 0 });
+			videoFrame.close();
+			onProgress?.((frame + 1) / frameCount);
+
+			// Let the progress show, and the encoder catch up
+			do {
+				await nextTask();
+			} while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !encodeError);
+		}
+		await encoder.flush();
+		if (encodeError) throw encodeError;
+	} finally {
+		if (encoder.state !== "closed") encoder.close();
+	}
+
+	muxer.finalize();
+	return new Blob([muxer.target.buffer], { type: "video/webm" });
+}
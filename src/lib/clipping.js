@@ -0,0 +1,370 @@
+import * as THREE from "three";
+import { getModelBounds } from "@/lib/modelTransform";
+import { isNodeShown } from "@/lib/sceneGraph";
+
+// Section planes for looking inside models. Up to three planes, each along
+// a model axis or at any angle, are placed in the model's own space (so the
+// cut stays on the same part as the model turns) and offset across its
+// bounds. Optional stencil caps close the cut solids, and the box walls can
+// clip the model too. Needs a renderer with `stencil: true` and
+// `localClippingEnabled`.
+
+export const MAX_CLIPPING_PLANES = 3;
+
+export const CLIP_AXES = {
+	x: "X",
+	y: "Y",
+	z: "Z",
+	custom: "Custom",
+};
+
+const PLANE_COLORS = [0xf87171, 0x4ade80, 0x60a5fa];
+
+export const DEFAULT_CLIPPING = {
+	planes: ["x", "y", "z"].map((axis) => ({
+		enabled: false,
+		axis,
+		offset: 0, // -1 to 1 across the model bounds
+		flip: false,
+		azimuth: 0, // degrees, custom planes
+		elevation: 0,
+	})),
+	caps: true,
+	handles: true,
+	clipToBox: false,
+};
+
+// The kept side is where the normal points; unflipped planes cut away the
+// positive end of their axis
+function getLocalNormal({ axis, flip, azimuth, elevation }, target) {
+	if (axis === "custom") {
+		const theta = THREE.MathUtils.degToRad(azimuth);
+		const phi = THREE.MathUtils.degToRad(elevation);
+		target.set(
+			Math.cos(phi) * Math.sin(theta),
+			Math.sin(phi),
+			Math.cos(phi) * Math.cos(theta),
+		);
+	} else {
+		target.set(0, 0, 0).setComponent("xyz".indexOf(axis), 1);
+	}
+	return target.multiplyScalar(flip ? 1 : -1);
+}
+
+// Half the extent of the bounds along a direction
+function getHalfExtent(size, normal) {
+	return (
+		(Math.abs(normal.x) * size.x +
+			Math.abs(normal.y) * size.y +
+			Math.abs(normal.z) * size.z) /
+		2
+	);
+}
+
+// Box walls as clipping planes, keeping the inside. The front is the screen,
+// which pop-out framing deliberately crosses, so it doesn't clip.
+function setBoxPlanes(planes, { width, height, depth }) {
+	planes[0].set(new THREE.Vector3(1, 0, 0), width / 2);
+	planes[1].set(new THREE.Vector3(-1, 0, 0), width / 2);
+	planes[2].set(new THREE.Vector3(0, 1, 0), height / 2);
+	planes[3].set(new THREE.Vector3(0, -1, 0), height / 2);
+	planes[4].set(new THREE.Vector3(0, 0, 1), depth);
+}
+
+function createStencilMaterial(plane, side, operation) {
+	return new THREE.MeshBasicMaterial({
+		side,
+		clippingPlanes: [plane],
+		depthWrite: false,
+		depthTest: false,
+		colorWrite: false,
+		stencilWrite: true,
+		stencilFunc: THREE.AlwaysStencilFunc,
+		stencilFail: operation,
+		stencilZFail: operation,
+		stencilZPass: operation,
+	});
+}
+
+export function createClipping() {
+	const object = new THREE.Group();
+	object.matrixAutoUpdate = false;
+
+	const boxPlanes = Array.from({ length: 5 }, () => new THREE.Plane());
+	const activePlanes = []; // assigned to every model material
+	let model = null;
+	let bounds = null; // {center, size} in model space
+	let stencilMeshes = null; // per mesh: {mesh, copies: [back, front] per plane}
+	let lastSettings = DEFAULT_CLIPPING;
+
+	const planes = PLANE_COLORS.map((color, index) => {
+		const plane = new THREE.Plane();
+
+		// Cap: fills the cut where the stencil count says we're inside a solid
+		const cap = new THREE.Mesh(
+			new THREE.PlaneGeometry(1, 1),
+			new THREE.MeshStandardMaterial({
+				color,
+				metalness: 0.1,
+				roughness: 0.75,
+				side: THREE.DoubleSide,
+				clippingPlanes: [],
+				stencilWrite: true,
+				stencilRef: 0,
+				stencilFunc: THREE.NotEqualStencilFunc,
+				stencilFail: THREE.ReplaceStencilOp,
+				stencilZFail: THREE.ReplaceStencilOp,
+				stencilZPass: THREE.ReplaceStencilOp,
+			}),
+		);
+		cap.renderOrder = index + 1.1;
+		cap.onAfterRender = (renderer) => renderer.clearStencil();
+		cap.matrixAutoUpdate = false;
+		object.add(cap);
+
+		// Handle: a translucent square to drag the plane along its normal
+		const handle = new THREE.Mesh(
+			new THREE.PlaneGeometry(1, 1),
+			new THREE.MeshBasicMaterial({
+				color,
+				transparent: true,
+				opacity: 0.12,
+				side: THREE.DoubleSide,
+				depthWrite: false,
+			}),
+		);
+		handle.add(
+			new THREE.LineSegments(
+				new THREE.EdgesGeometry(handle.geometry),
+				new THREE.LineBasicMaterial({ color }),
+			),
+		);
+		handle.matrixAutoUpdate = false;
+		object.add(handle);
+
+		return {
+			plane,
+			cap,
+			handle,
+			back: createStencilMaterial(plane, THREE.BackSide, THREE.IncrementWrapStencilOp),
+			front: createStencilMaterial(plane, THREE.FrontSide, THREE.DecrementWrapStencilOp),
+			center: new THREE.Vector3(), // handle position, world space
+			normal: new THREE.Vector3(), // world space
+		};
+	});
+
+	const removeStencilMeshes = () => {
+		if (!stencilMeshes) return;
+		for (const { copies } of stencilMeshes) {
+			for (const copy of copies.flat()) {
+				object.remove(copy);
+			}
+		}
+		stencilMeshes = null;
+	};
+
+	// Copies of every mesh per plane, sharing its geometry, skeleton and morph
+	// influences, that count front and back faces into the stencil buffer
+	const buildStencilMeshes = () => {
+		stencilMeshes = [];
+		model.traverse((mesh) => {
+			if (!mesh.isMesh || !mesh.geometry) return;
+			const copies = planes.map(({ back, front }, index) =>
+				[back, front].map((material) => {
+					const copy = mesh.isSkinnedMesh
+						? new THREE.SkinnedMesh(mesh.geometry, material)
+						: new THREE.Mesh(mesh.geometry, material);
+					if (mesh.isSkinnedMesh) copy.bind(mesh.skeleton, mesh.bindMatrix);
+					copy.morphTargetInfluences = mesh.morphTargetInfluences;
+					copy.matrixAutoUpdate = false;
+					copy.frustumCulled = false;
+					copy.renderOrder = index + 1;
+					object.add(copy);
+					return copy;
+				}),
+			);
+			stencilMeshes.push({ mesh, copies });
+		});
+	};
+
+	const setModel = (next) => {
+		removeStencilMeshes();
+		model = next;
+		bounds = null;
+		if (!model) return;
+
+		const box = getModelBounds(model);
+		if (!box.isEmpty()) {
+			bounds = {
+				center: box.getCenter(new THREE.Vector3()),
+				size: box.getSize(new THREE.Vector3()),
+			};
+		}
+	};
+
+	const localNormal = new THREE.Vector3();
+	const localPoint = new THREE.Vector3();
+	const normalMatrix = new THREE.Matrix3();
+	const quaternion = new THREE.Quaternion();
+	const scale = new THREE.Vector3();
+	const forward = new THREE.Vector3(0, 0, 1);
+
+	return {
+		object,
+
+		// Re-applies the settings to the current model, every frame (materials
+		// can be swapped by variants, and the model moves)
+		update(current, settings, dims) {
+			if (current !== model) setModel(current);
+			lastSettings = settings;
+			activePlanes.length = 0;
+
+			// Follow this frame's rotation and zoom rather than the last render's
+			if (model) {
+				model.updateMatrixWorld();
+				normalMatrix.getNormalMatrix(model.matrixWorld);
+			}
+			const enabled = bounds ? settings.planes.map((entry) => entry.enabled) : [];
+			const radius = bounds ? (bounds.size.length() / 2) * model.scale.x : 0;
+
+			planes.forEach((entry, index) => {
+				const on = !!enabled[index];
+				if (on) {
+					const planeSettings = settings.planes[index];
+					getLocalNormal(planeSettings, localNormal);
+					localPoint
+						.copy(localNormal)
+						.multiplyScalar(
+							-planeSettings.offset * getHalfExtent(bounds.size, localNormal) *
+								(planeSettings.flip ? -1 : 1),
+						)
+						.add(bounds.center);
+					entry.plane
+						.setFromNormalAndCoplanarPoint(localNormal, localPoint)
+						.applyMatrix4(model.matrixWorld, normalMatrix);
+					activePlanes.push(entry.plane);
+
+					// Handle and cap centered on the model, facing along the plane
+					entry.normal.copy(entry.plane.normal);
+					model.localToWorld(entry.center.copy(bounds.center));
+					entry.plane.projectPoint(entry.center, entry.center);
+					quaternion.setFromUnitVectors(forward, entry.normal);
+					entry.handle.matrix.compose(
+						entry.center,
+						quaternion,
+						scale.set(radius * 2.2, radius * 2.2, 1),
+					);
+					entry.cap.matrix.compose(
+						entry.center,
+						quaternion,
+						scale.set(radius * 4, radius * 4, 1),
+					);
+					entry.handle.matrixWorldNeedsUpdate = true;
+					entry.cap.matrixWorldNeedsUpdate = true;
+				}
+				entry.handle.visible = on && settings.handles;
+				entry.cap.visible = on && settings.caps;
+			});
+
+			// Box walls clip the model and the caps, but not the stencil passes
+			if (settings.clipToBox && model) {
+				setBoxPlanes(boxPlanes, dims);
+				activePlanes.push(...boxPlanes);
+			}
+			planes.forEach((entry) => {
+				entry.cap.material.clippingPlanes = activePlanes.filter(
+					(plane) => plane !== entry.plane,
+				);
+			});
+
+			if (model) {
+				model.traverse((child) => {
+					if (!child.material) return;
+					const materials = Array.isArray(child.material)
+						? child.material
+						: [child.material];
+					for (const material of materials) {
+						material.clippingPlanes = activePlanes;
+						material.clipShadows = true;
+					}
+				});
+			}
+
+			// Stencil copies follow their meshes; built on first use
+			const capsOn = settings.caps && enabled.some(Boolean);
+			if (capsOn && !stencilMeshes) buildStencilMeshes();
+			if (!stencilMeshes) return;
+			for (const { mesh, copies } of stencilMeshes) {
+				const shown = capsOn && isNodeShown(mesh);
+				copies.forEach((pair, index) => {
+					for (const copy of pair) {
+						copy.visible = shown && !!enabled[index];
+						if (!copy.visible) continue;
+						copy.matrix.copy(mesh.matrixWorld);
+						copy.matrixWorldNeedsUpdate = true;
+					}
+				});
+			}
+		},
+
+		// The planes the model is cut by, kept current by update()
+		get clippingPlanes() {
+			return activePlanes;
+		},
+
+		// Index of the plane handle under a ray, or null
+		pickHandle(raycaster) {
+			const handles = planes
+				.map((entry) => entry.handle)
+				.filter((handle) => handle.visible);
+			const hit = raycaster.intersectObjects(handles, false)[0];
+			return hit ? planes.findIndex((entry) => entry.handle === hit.object) : null;
+		},
+
+		// Starts dragging a plane along its normal. The returned function maps
+		// a pointer ray to the plane's new offset.
+		beginDrag(index, raycaster) {
+			const { center, normal } = planes[index];
+			const origin = center.clone();
+			const direction = normal.clone();
+			const planeSettings = lastSettings.planes[index];
+			const halfExtent =
+				getHalfExtent(bounds.size, getLocalNormal(planeSettings, new THREE.Vector3())) *
+				model.scale.x;
+
+			// Closest point on the normal line to the ray, as a distance along it
+			const alongNormal = (ray) => {
+				const b = direction.dot(ray.direction);
+				const denominator = 1 - b * b;
+				if (denominator < 1e-6) return null; // looking straight along the normal
+				const w = origin.clone().sub(ray.origin);
+				return (b * ray.direction.dot(w) - direction.dot(w)) / denominator;
+			};
+
+			const start = alongNormal(raycaster.ray);
+			const startOffset = planeSettings.offset;
+			const sign = planeSettings.flip ? 1 : -1;
+
+			return (ray) => {
+				const distance = alongNormal(ray);
+				if (start === null || distance === null || halfExtent === 0) return startOffset;
+				const offset = startOffset + (sign * (distance - start)) / halfExtent;
+				return THREE.MathUtils.clamp(offset, -1, 1);
+			};
+		},
+
+		dispose() {
+			removeStencilMeshes();
+			for (const entry of planes) {
+				entry.cap.geometry.dispose();
+				entry.cap.material.dispose();
+				entry.handle.geometry.dispose();
+				entry.handle.material.dispose();
+				entry.handle.children[0].geometry.dispose();
+				entry.handle.children[0].material.dispose();
+				entry.back.dispose();
+				entry.front.dispose();
+			}
+		},
+	};
+}
@@ -0,0 +1,257 @@
+import { loadSetting, saveSetting } from "@/lib/storage";
+
+// Head-pose filters. Each filter takes timestamped {x, y, z} measurements
+// via update() and is sampled every render frame via predict(), so filters
+// that track velocity can extrapolate from the last detection (which runs
+// throttled) to the current frame time plus a latency lead.
+
+const AXES = ["x", "y", "z"];
+
+// Never extrapolate further than this past the last measurement, so a
+// stalled tracker doesn't send the camera drifting off
+const MAX_EXTRAPOLATION_S = 0.2;
+
+function lowPassAlpha(cutoffHz, dt) {
+	const tau = 1 / (2 * Math.PI * cutoffHz);
+	return 1 / (1 + tau / dt);
+}
+
+function getLead(t, lastT, latencyMs) {
+	const ahead = (t - lastT + latencyMs) / 1000;
+	return Math.min(Math.max(ahead, 0), MAX_EXTRAPOLATION_S);
+}
+
+// Builds a vector filter from one independent filter per axis
+function perAxis(createAxis) {
+	const axes = Object.fromEntries(AXES.map((axis) => [axis, createAxis()]));
+	return {
+		update(value, t) {
+			for (const axis of AXES) axes[axis].update(value[axis], t);
+		},
+		predict(t) {
+			const result = {};
+			for (const axis of AXES) {
+				result[axis] = axes[axis].predict(t);
+				if (result[axis] === null) return null;
+			}
+			return result;
+		},
+	};
+}
+
+// Exponential smoothing towards the latest measurement, framerate
+// independent via a time constant
+function createExponentialFilter({ timeConstantMs }) {
+	return perAxis(() => {
+		let target = null;
+		let value = null;
+		let lastT = null;
+		return {
+			update(measurement) {
+				target = measurement;
+				if (value === null) value = measurement;
+			},
+			predict(t) {
+				if (value === null) return null;
+				const dt = lastT === null ? 0 : Math.max(t - lastT, 0);
+				lastT = t;
+				value += (target - value) * (1 - Math.exp(-dt / timeConstantMs));
+				return value;
+			},
+		};
+	});
+}
+
+// One Euro filter (Casiez et al.): adaptive low pass whose cutoff rises with
+// speed, so slow motion is smoothed and fast motion stays responsive
+function createOneEuroFilter({ minCutoff, beta, latencyMs }) {
+	const derivativeCutoff = 1;
+	return perAxis(() => {
+		let value = null;
+		let velocity = 0;
+		let lastT = null;
+		return {
+			update(measurement, t) {
+				if (value === null) {
+					value = measurement;
+					lastT = t;
+					return;
+				}
+				const dt = Math.max((t - lastT) / 1000, 1e-3);
+				lastT = t;
+
+				const rawVelocity = (measurement - value) / dt;
+				velocity +=
+					lowPassAlpha(derivativeCutoff, dt) * (rawVelocity - velocity);
+				const cutoff = minCutoff + beta * Math.abs(velocity);
+				value += lowPassAlpha(cutoff, dt) * (measurement - value);
+			},
+			predict(t) {
+				if (value === null) return null;
+				return value + velocity * getLead(t, lastT, latencyMs);
+			},
+		};
+	});
+}
+
+// Constant-velocity Kalman filter per axis, predicting forward to the frame
+function createKalmanFilter({ processNoise, measurementNoise, latencyMs }) {
+	return perAxis(() => {
+		let position = null;
+		let velocity = 0;
+		let p00 = 1;
+		let p01 = 0;
+		let p10 = 0;
+		let p11 = 1;
+		let lastT = null;
+		return {
+			update(measurement, t) {
+				if (position === null) {
+					position = measurement;
+					lastT = t;
+					return;
+				}
+				const dt = Math.max((t - lastT) / 1000, 1e-3);
+				lastT = t;
+
+				// Predict: x = F x, P = F P F' + Q
+				position += velocity * dt;
+				const q = processNoise;
+				const n00 =
+					p00 + dt * (p10 + p01) + dt * dt * p11 + (q * dt ** 3) / 3;
+				const n01 = p01 + dt * p11 + (q * dt ** 2) / 2;
+				const n10 = p10 + dt * p11 + (q * dt ** 2) / 2;
+				const n11 = p11 + q * dt;
+
+				// Correct with the position measurement
+				const s = n00 + measurementNoise;
+				const k0 = n00 / s;
+				const k1 = n10 / s;
+				const innovation = measurement - position;
+				position += k0 * innovation;
+				velocity += k1 * innovation;
+				p00 = (1 - k0) * n00;
+				p01 = (1 - k0) * n01;
+				p10 = n10 - k1 * n00;
+				p11 = n11 - k1 * n01;
+			},
+			predict(t) {
+				if (position === null) return null;
+				return position + velocity * getLead(t, lastT, latencyMs);
+			},
+		};
+	});
+}
+
+export const HEAD_FILTERS = {
+	exponential: {
+		label: "Exponential",
+		create: createExponentialFilter,
+		params: [
+			{
+				key: "timeConstantMs",
+				label: "Time constant (ms)",
+				min: 10,
+				max: 500,
+				step: 10,
+				default: 160,
+			},
+		],
+	},
+	oneEuro: {
+		label: "One Euro",
+		create: createOneEuroFilter,
+		params: [
+			{
+				key: "minCutoff",
+				label: "Min cutoff (Hz)",
+				min: 0.05,
+				max: 5,
+				step: 0.05,
+				default: 1,
+			},
+			{
+				key: "beta",
+				label: "Speed coefficient",
+				min: 0,
+				max: 1,
+				step: 0.01,
+				default: 0.05,
+			},
+			{
+				key: "latencyMs",
+				label: "Latency lead (ms)",
+				min: 0,
+				max: 100,
+				step: 5,
+				default: 30,
+			},
+		],
+	},
+	kalman: {
+		label: "Kalman (predictive)",
+		create: createKalmanFilter,
+		params: [
+			{
+				key: "processNoise",
+				label: "Process noise",
+				min: 10,
+				max: 5000,
+				step: 10,
+				default: 500,
+			},
+			{
+				key: "measurementNoise",
+				label: "Measurement noise",
+				min: 0.01,
+				max: 10,
+				step: 0.01,
+				default: 0.5,
+			},
+			{
+				key: "latencyMs",
+				label: "Latency lead (ms)",
+				min: 0,
+				max: 100,
+				step: 5,
+				default: 30,
+			},
+		],
+	},
+};
+
+export function getDefaultFilterParams(type) {
+	return Object.fromEntries(
+		HEAD_FILTERS[type].params.map((param) => [param.key, param.default]),
+	);
+}
+
+export const DEFAULT_FILTER_SETTINGS = {
+	type: "oneEuro",
+	params: getDefaultFilterParams("oneEuro"),
+};
+
+export function createHeadFilter({ type, params }) {
+	const resolved = HEAD_FILTERS[type] ? type : DEFAULT_FILTER_SETTINGS.type;
+	return HEAD_FILTERS[resolved].create({
+		...getDefaultFilterParams(resolved),
+		...params,
+	});
+}
+
+const FILTER_SETTINGS_KEY = "model-viewer.filter";
+
+export function loadFilterSettings() {
+	const stored = loadSetting(FILTER_SETTINGS_KEY, DEFAULT_FILTER_SETTINGS);
+	if (!HEAD_FILTERS[stored.type]) {
+		return DEFAULT_FILTER_SETTINGS;
+	}
+	return {
+		type: stored.type,
+		params: { ...getDefaultFilterParams(stored.type), ...stored.params },
+	};
+}
+
+export function saveFilterSettings(settings) {
+	saveSetting(FILTER_SETTINGS_KEY, settings);
+}
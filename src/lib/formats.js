@@ -0,0 +1,211 @@
+import * as THREE from "three";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { ThreeMFLoader } from "three/examples/jsm/loaders/3MFLoader.js";
+import { USDLoader } from "three/examples/jsm/loaders/USDLoader.js";
+import { createGLTFLoader } from "@/lib/loaders";
+
+// Supported model formats, keyed by the id detectFormat returns
+export const MODEL_FORMATS = {
+	gltf: { label: "glTF", extensions: [".glb", ".gltf"] },
+	fbx: { label: "FBX", extensions: [".fbx"] },
+	obj: { label: "OBJ", extensions: [".obj"] },
+	stl: { label: "STL", extensions: [".stl"] },
+	ply: { label: "PLY", extensions: [".ply"] },
+	usdz: { label: "USDZ", extensions: [".usdz", ".usda", ".usdc", ".usd"] },
+	"3mf": { label: "3MF", extensions: [".3mf"] },
+};
+
+export const MODEL_EXTENSIONS = Object.values(MODEL_FORMATS).flatMap(
+	(format) => format.extensions,
+);
+
+function getUrlExtension(url) {
+	const path = url.split(/[?#]/)[0];
+	const name = path.slice(path.lastIndexOf("/") + 1);
+	const index = name.lastIndexOf(".");
+	return index === -1 ? "" : name.slice(index).toLowerCase();
+}
+
+export function detectFormatFromName(name) {
+	const extension = getUrlExtension(name);
+	for (const [id, format] of Object.entries(MODEL_FORMATS)) {
+		if (format.extensions.includes(extension)) return id;
+	}
+	return null;
+}
+
+function readAscii(bytes, start, length) {
+	return String.fromCharCode(
+		...bytes.subarray(start, Math.min(bytes.length, start + length)),
+	);
+}
+
+// Bytes from the end of a zip searched for its central directory, enough for
+// the end record, its longest comment and a small archive's file list
+const ZIP_DIRECTORY_SCAN = 64 * 1024;
+
+// Sniffs the format from file contents, for URLs without a usable extension
+export function detectFormatFromBytes(buffer) {
+	const bytes = new Uint8Array(buffer);
+	const head = readAscii(bytes, 0, 256);
+
+	if (head.startsWith("glTF")) return "gltf";
+	if (head.startsWith("Kaydara FBX Binary") || head.startsWith("; FBX")) {
+		return "fbx";
+	}
+	if (/^ply\r?\n/.test(head)) return "ply";
+	if (head.startsWith("#usda") || head.startsWith("PXR-USDC")) return "usdz";
+
+	// Zip containers: USDZ stores its stage first, 3MF has a 3D/ model part
+	if (head.startsWith("PK\x03\x04")) {
+		const nameLength = bytes[26] | (bytes[27] << 8);
+		if (/\.usd[ac]?$/i.test(readAscii(bytes, 30, nameLength))) return "usdz";
+		// The central directory listing the part names sits at the end
+		const tail = bytes.subarray(Math.max(0, bytes.length - ZIP_DIRECTORY_SCAN));
+		if (new TextDecoder("latin1").decode(tail).includes("3D/3dmodel.model")) {
+			return "3mf";
+		}
+		return null;
+	}
+
+	// Binary STL: 80 byte header, triangle count, 50 bytes per triangle
+	if (bytes.length >= 84) {
+		const count = new DataView(buffer).getUint32(80, true);
+		if (84 + count * 50 === bytes.length) return "stl";
+	}
+
+	const text = head.trimStart();
+	if (text.startsWith("{") && text.includes('"asset"')) return "gltf";
+	if (text.startsWith("solid")) return "stl";
+	if (/^(#|v |vn |vt |o |g |mtllib |usemtl )/m.test(text)) return "obj";
+
+	return null;
+}
+
+function createGeometryObject(geometry, asPoints) {
+	const hasColors = geometry.hasColors || Boolean(geometry.attributes.color);
+
+	if (asPoints) {
+		return new THREE.Points(
+			geometry,
+			new THREE.PointsMaterial({
+				size: 0.05,
+				color: hasColors ? 0xffffff : 0xcccccc,
+				vertexColors: hasColors,
+			}),
+		);
+	}
+
+	if (!geometry.attributes.normal) {
+		geometry.computeVertexNormals();
+	}
+
+	return new THREE.Mesh(
+		geometry,
+		new THREE.MeshStandardMaterial({
+			color: hasColors ? 0xffffff : 0xcccccc,
+			vertexColors: hasColors,
+			roughness: 0.6,
+			metalness: 0.1,
+		}),
+	);
+}
+
+async function parseObj(buffer, basePath, manager) {
+	const text = new TextDecoder().decode(buffer);
+	const loader = new OBJLoader(manager);
+
+	// OBJ only names its material library; load it from alongside the file
+	const mtllib = text.match(/^mtllib\s+(.+?)\s*$/m)?.[1];
+	if (mtllib) {
+		try {
+			const materials = await new MTLLoader(manager)
+				.setPath(basePath)
+				.loadAsync(mtllib);
+			materials.preload();
+			loader.setMaterials(materials);
+		} catch (error) {
+			console.warn(`Failed to load material library ${mtllib}:`, error);
+		}
+	}
+
+	return loader.parse(text);
+}
+
+function parseGltf(buffer, basePath, manager, renderer) {
+	return new Promise((resolve, reject) => {
+		createGLTFLoader(manager, renderer).parse(
+			buffer,
+			basePath,
+			(gltf) =>
+				resolve({ scene: gltf.scene, animations: gltf.animations, gltf }),
+			reject,
+		);
+	});
+}
+
+async function parseModel(format, buffer, basePath, manager, renderer) {
+	switch (format) {
+		case "gltf":
+			return parseGltf(buffer, basePath, manager, renderer);
+		case "fbx": {
+			const scene = new FBXLoader(manager).parse(buffer, basePath);
+			return { scene, animations: scene.animations ?? [] };
+		}
+		case "obj": {
+			const scene = await parseObj(buffer, basePath, manager);
+			return { scene, animations: [] };
+		}
+		case "stl":
+		case "ply": {
+			const loader =
+				format === "stl" ? new STLLoader(manager) : new PLYLoader(manager);
+			const geometry = loader.parse(buffer);
+
+			// PLY files without faces are point clouds
+			const asPoints = format === "ply" && !geometry.index;
+			const scene = new THREE.Group();
+			scene.add(createGeometryObject(geometry, asPoints));
+			return { scene, animations: [] };
+		}
+		case "usdz":
+			return { scene: new USDLoader(manager).parse(buffer), animations: [] };
+		case "3mf": {
+			const scene = new ThreeMFLoader(manager).parse(buffer);
+			return { scene, animations: [] };
+		}
+		default:
+			throw new Error(`Unsupported model format: ${format}`);
+	}
+}
+
+// Loads any supported model into { scene, animations, gltf? }. The format
+// comes from the file name when it has a known extension, otherwise from
+// the file contents. The whole load is registered with the manager so its
+// onLoad only fires once the model and every resource it pulls in settle.
+export async function loadModel({ url, name, manager, renderer }) {
+	manager.itemStart(url);
+	try {
+		const buffer = await new THREE.FileLoader(manager)
+			.setResponseType("arraybuffer")
+			.loadAsync(url);
+
+		const format =
+			detectFormatFromName(name ?? url) ?? detectFormatFromBytes(buffer);
+		if (!format) {
+			throw new Error("Unrecognized model format");
+		}
+
+		const basePath = THREE.LoaderUtils.extractUrlBase(url);
+		return await parseModel(format, buffer, basePath, manager, renderer);
+	} catch (error) {
+		manager.itemError(url);
+		throw error;
+	} finally {
+		manager.itemEnd(url);
+	}
+}
@@ -0,0 +1,198 @@
+import { trackballRotation } from "@/lib/modelTransform";
+import { loadSetting, saveSetting } from "@/lib/storage";
+
+// Hand gesture recognizer over MediaPipe hand landmarks (normalized image
+// coordinates, camera image not mirrored). Each update() returns the view
+// actions the current gestures produce:
+//   { type: "rotate", quaternion }  trackball rotation in view space
+//   { type: "scale", factor }       relative scale change
+//   { type: "pan", x, y }           offset in viewport fractions, +y up
+//   { type: "reset" }
+
+const WRIST = 0;
+const THUMB_TIP = 4;
+const INDEX_TIP = 8;
+const FINGERS = [
+	{ tip: 8, pip: 6 },
+	{ tip: 12, pip: 10 },
+	{ tip: 16, pip: 14 },
+	{ tip: 20, pip: 18 },
+];
+const PALM = [0, 5, 9, 13, 17];
+
+// Pinch hysteresis around the old single 0.1 threshold, so a pinch held near
+// the boundary doesn't flicker on and off
+const PINCH_START = 0.08;
+const PINCH_END = 0.12;
+
+const ROTATE_SENSITIVITY = 10; // radians per image width
+const FIST_HOLD_MS = 500;
+
+export const GESTURES = {
+	rotate: "Pinch & drag to rotate",
+	scale: "Two-hand pinch to scale",
+	pan: "Open palm to pan",
+	reset: "Fist to reset view",
+};
+
+export const DEFAULT_GESTURE_SETTINGS = {
+	rotate: true,
+	scale: true,
+	pan: true,
+	reset: true,
+};
+
+const GESTURE_SETTINGS_KEY = "model-viewer.gestures";
+
+export function loadGestureSettings() {
+	return loadSetting(GESTURE_SETTINGS_KEY, DEFAULT_GESTURE_SETTINGS);
+}
+
+export function saveGestureSettings(settings) {
+	saveSetting(GESTURE_SETTINGS_KEY, settings);
+}
+
+function distance(a, b) {
+	return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function midpoint(a, b) {
+	return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function centroid(landmarks, indices) {
+	let x = 0;
+	let y = 0;
+	for (const index of indices) {
+		x += landmarks[index].x;
+		y += landmarks[index].y;
+	}
+	return { x: x / indices.length, y: y / indices.length };
+}
+
+// A finger is extended when its tip is further from the wrist than its
+// middle joint, and curled when it is closer
+function countExtendedFingers(landmarks) {
+	const wrist = landmarks[WRIST];
+	return FINGERS.filter(
+		({ tip, pip }) =>
+			distance(landmarks[tip], wrist) > distance(landmarks[pip], wrist) * 1.1,
+	).length;
+}
+
+function isFist(landmarks) {
+	const wrist = landmarks[WRIST];
+	return FINGERS.every(
+		({ tip, pip }) =>
+			distance(landmarks[tip], wrist) < distance(landmarks[pip], wrist),
+	);
+}
+
+export function createGestureRecognizer() {
+	// Pinch state per hand, keyed by handedness so it follows the hand when
+	// the landmarker reorders its detections
+	let pinching = new Map();
+	let previous = null; // { gesture, point | span }
+	let fistSince = null;
+	let fistFired = false;
+
+	const isPinching = (wasPinching, landmarks) => {
+		// Thumb and index tips meet in a fist too, which isn't a pinch
+		if (isFist(landmarks)) return false;
+		const gap = distance(landmarks[THUMB_TIP], landmarks[INDEX_TIP]);
+		return wasPinching ? gap < PINCH_END : gap < PINCH_START;
+	};
+
+	return {
+		// The gesture currently being recognized, for display
+		gesture: null,
+
+		// `handedness` holds "Left" / "Right" per hand, when known
+		update(hands, handedness, timestamp, enabled) {
+			const actions = [];
+			const count = Math.min(hands.length, 2);
+
+			const pinches = [];
+			const nextPinching = new Map();
+			for (let hand = 0; hand < count; hand++) {
+				// Fall back to the detection index for unlabeled or
+				// same-labeled hands
+				let key = handedness?.[hand] ?? hand;
+				if (nextPinching.has(key)) key = hand;
+
+				const pinch = isPinching(pinching.get(key) ?? false, hands[hand]);
+				nextPinching.set(key, pinch);
+				if (pinch) {
+					pinches.push(
+						midpoint(hands[hand][THUMB_TIP], hands[hand][INDEX_TIP]),
+					);
+				}
+			}
+			pinching = nextPinching;
+
+			let current = null;
+
+			if (pinches.length === 2 && enabled.scale) {
+				// Two-hand pinch: scale by the change in span between the hands
+				const span = distance(pinches[0], pinches[1]);
+				current = { gesture: "scale", span };
+				if (previous?.gesture === "scale" && previous.span > 0) {
+					actions.push({ type: "scale", factor: span / previous.span });
+				}
+			} else if (pinches.length >= 1 && enabled.rotate) {
+				// Pinch drag: trackball rotation, horizontal motion about the
+				// vertical axis and vertical motion about the horizontal axis
+				const point = pinches[0];
+				current = { gesture: "rotate", point };
+				if (previous?.gesture === "rotate") {
+					const angleY = -(point.x - previous.point.x) * ROTATE_SENSITIVITY;
+					const angleX = (point.y - previous.point.y) * ROTATE_SENSITIVITY;
+					const quaternion = trackballRotation(angleX, angleY);
+					if (quaternion) {
+						actions.push({ type: "rotate", quaternion });
+					}
+				}
+			} else if (count > 0 && pinches.length === 0) {
+				const landmarks = hands[0];
+
+				if (enabled.pan && countExtendedFingers(landmarks) === 4) {
+					// Open palm drag: pan with the palm center
+					const point = centroid(landmarks, PALM);
+					current = { gesture: "pan", point };
+					if (previous?.gesture === "pan") {
+						actions.push({
+							type: "pan",
+							x: -(point.x - previous.point.x),
+							y: -(point.y - previous.point.y),
+						});
+					}
+				} else if (enabled.reset && isFist(landmarks)) {
+					// Fist held briefly: reset once per fist
+					current = { gesture: "reset" };
+					fistSince ??= timestamp;
+					if (!fistFired && timestamp - fistSince >= FIST_HOLD_MS) {
+						actions.push({ type: "reset" });
+						fistFired = true;
+					}
+				}
+			}
+
+			if (current?.gesture !== "reset") {
+				fistSince = null;
+				fistFired = false;
+			}
+
+			previous = current;
+			this.gesture = current?.gesture ?? null;
+			return actions;
+		},
+
+		reset() {
+			pinching = new Map();
+			previous = null;
+			fistSince = null;
+			fistFired = false;
+			this.gesture = null;
+		},
+	};
+}
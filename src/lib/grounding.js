@@ -0,0 +1,234 @@
+import * as THREE from "three";
+import { HorizontalBlurShader } from "three/examples/jsm/shaders/HorizontalBlurShader.js";
+import { VerticalBlurShader } from "three/examples/jsm/shaders/VerticalBlurShader.js";
+import { loadSetting, saveSetting } from "@/lib/storage";
+
+// Grounding cues for the virtual box: a shadow-receiving floor for the
+// directional light's shadow map, and soft contact shadows rendered from
+// below the model, so models read as sitting in (or above) the box.
+
+export const GROUNDING_OPTIONS = {
+	shadows: "Shadows",
+	contactShadows: "Contact shadows",
+	ambientOcclusion: "Ambient occlusion",
+	snapToFloor: "Rest model on floor",
+};
+
+const GROUNDING_KEY = "model-viewer.grounding";
+
+export const DEFAULT_GROUNDING = {
+	shadows: true,
+	contactShadows: true,
+	ambientOcclusion: false,
+	snapToFloor: false,
+};
+
+export function loadGroundingSettings() {
+	return loadSetting(GROUNDING_KEY, DEFAULT_GROUNDING);
+}
+
+export function saveGroundingSettings(settings) {
+	saveSetting(GROUNDING_KEY, settings);
+}
+
+const SHADOW_MAP_SIZE = 2048;
+const CONTACT_SHADOW_SIZE = 512;
+const CONTACT_SHADOW_BLUR = 3.5;
+const CONTACT_SHADOW_DARKNESS = 1.5;
+const CONTACT_SHADOW_OPACITY = 0.6;
+const FLOOR_SHADOW_OPACITY = 0.35;
+
+// Fits the directional light's shadow camera around the box, keeping the
+// light's offset but aiming it at the box center
+export function configureShadowLight(light, offset, { width, height, depth }) {
+	const center = new THREE.Vector3(0, 0, -depth / 2);
+	light.target.position.copy(center);
+	light.position.copy(center).add(offset);
+
+	const extent = Math.max(width, height, depth) * 0.75;
+	const shadowCamera = light.shadow.camera;
+	shadowCamera.left = -extent;
+	shadowCamera.right = extent;
+	shadowCamera.top = extent;
+	shadowCamera.bottom = -extent;
+	shadowCamera.near = 0.1;
+	shadowCamera.far = offset.length() + extent * 2;
+	shadowCamera.updateProjectionMatrix();
+
+	light.shadow.mapSize.set(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+	light.shadow.normalBias = 0.02;
+	light.shadow.radius = 4;
+}
+
+// Transparent plane on the box floor that only shows received shadows
+export function createShadowFloor() {
+	const floor = new THREE.Mesh(
+		new THREE.PlaneGeometry(1, 1),
+		new THREE.ShadowMaterial({ opacity: FLOOR_SHADOW_OPACITY }),
+	);
+	floor.rotation.x = -Math.PI / 2;
+	floor.receiveShadow = true;
+
+	return {
+		object: floor,
+		setBox({ width, height, depth }) {
+			floor.scale.set(width, depth, 1);
+			floor.position.set(0, -height / 2, -depth / 2);
+		},
+		dispose() {
+			floor.geometry.dispose();
+			floor.material.dispose();
+		},
+	};
+}
+
+// Contact shadows: the scene's depth is rendered upwards from the floor by an
+// orthographic camera, darker the closer a surface is, then blurred and laid
+// on the floor as a texture. The texture is only re-rendered after
+// invalidate(), when the model has moved or changed shape.
+export function createContactShadows() {
+	const renderTarget = new THREE.WebGLRenderTarget(
+		CONTACT_SHADOW_SIZE,
+		CONTACT_SHADOW_SIZE,
+	);
+	renderTarget.texture.generateMipmaps = false;
+	const blurTarget = new THREE.WebGLRenderTarget(
+		CONTACT_SHADOW_SIZE,
+		CONTACT_SHADOW_SIZE,
+	);
+	blurTarget.texture.generateMipmaps = false;
+
+	const group = new THREE.Group();
+
+	const planeGeometry = new THREE.PlaneGeometry(1, 1).rotateX(Math.PI / 2);
+	const plane = new THREE.Mesh(
+		planeGeometry,
+		new THREE.MeshBasicMaterial({
+			map: renderTarget.texture,
+			opacity: CONTACT_SHADOW_OPACITY,
+			transparent: true,
+			depthWrite: false,
+		}),
+	);
+	plane.renderOrder = 1;
+	// The texture is rendered looking up, so flip it to face the viewer
+	plane.scale.y = -1;
+	group.add(plane);
+
+	const blurPlane = new THREE.Mesh(planeGeometry);
+	blurPlane.visible = false;
+	group.add(blurPlane);
+
+	const camera = new THREE.OrthographicCamera(-0.5, 0.5, 0.5, -0.5, 0, 1);
+	camera.rotation.x = Math.PI / 2;
+	group.add(camera);
+
+	const depthMaterial = new THREE.MeshDepthMaterial();
+	depthMaterial.depthTest = false;
+	depthMaterial.depthWrite = false;
+	depthMaterial.onBeforeCompile = (shader) => {
+		shader.uniforms.darkness = { value: CONTACT_SHADOW_DARKNESS };
+		shader.fragmentShader = `uniform float darkness;\n${shader.fragmentShader.replace(
+			"gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );",
+			"gl_FragColor = vec4( vec3( 0.0 ), ( 1.0 - fragCoordZ ) * darkness );",
+		)}`;
+	};
+
+	const horizontalBlur = new THREE.ShaderMaterial(HorizontalBlurShader);
+	horizontalBlur.depthTest = false;
+	const verticalBlur = new THREE.ShaderMaterial(VerticalBlurShader);
+	verticalBlur.depthTest = false;
+
+	let dirty = true;
+
+	const blur = (renderer, amount) => {
+		blurPlane.visible = true;
+
+		blurPlane.material = horizontalBlur;
+		horizontalBlur.uniforms.tDiffuse.value = renderTarget.texture;
+		horizontalBlur.uniforms.h.value = amount / 256;
+		renderer.setRenderTarget(blurTarget);
+		renderer.render(blurPlane, camera);
+
+		blurPlane.material = verticalBlur;
+		verticalBlur.uniforms.tDiffuse.value = blurTarget.texture;
+		verticalBlur.uniforms.v.value = amount / 256;
+		renderer.setRenderTarget(renderTarget);
+		renderer.render(blurPlane, camera);
+
+		blurPlane.visible = false;
+	};
+
+	return {
+		object: group,
+
+		setBox({ width, height, depth }) {
+			// Just above the shadow floor to avoid z-fighting
+			group.position.set(0, -height / 2 + 0.01, -depth / 2);
+			plane.scale.set(width, -1, depth);
+			blurPlane.scale.set(width, 1, depth);
+			camera.left = -width / 2;
+			camera.right = width / 2;
+			camera.top = depth / 2;
+			camera.bottom = -depth / 2;
+			camera.far = height;
+			camera.updateProjectionMatrix();
+			dirty = true;
+		},
+
+		invalidate() {
+			dirty = true;
+		},
+
+		// Renders the shadow texture if invalidated; `hidden` objects (the box
+		// grid, the shadow floor) are left out of the depth pass, and
+		// `clippingPlanes` cut the model in it as they do on screen
+		update(renderer, scene, hidden = [], clippingPlanes = []) {
+			if (!dirty) return;
+			dirty = false;
+			depthMaterial.clippingPlanes = [...clippingPlanes];
+
+			const background = scene.background;
+			const clearAlpha = renderer.getClearAlpha();
+			const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+			const visibility = hidden.map((object) => object.visible);
+
+			scene.background = null;
+			plane.visible = false;
+			hidden.forEach((object) => {
+				object.visible = false;
+			});
+			scene.overrideMaterial = depthMaterial;
+			renderer.setClearAlpha(0);
+			// The depth pass doesn't need the light's shadow map
+			renderer.shadowMap.autoUpdate = false;
+
+			renderer.setRenderTarget(renderTarget);
+			renderer.render(scene, camera);
+			scene.overrideMaterial = null;
+
+			blur(renderer, CONTACT_SHADOW_BLUR);
+			// A second, finer pass smooths the artifacts of the first
+			blur(renderer, CONTACT_SHADOW_BLUR * 0.4);
+
+			renderer.setRenderTarget(null);
+			renderer.setClearAlpha(clearAlpha);
+			renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+			scene.background = background;
+			plane.visible = true;
+			hidden.forEach((object, index) => {
+				object.visible = visibility[index];
+			});
+		},
+
+		dispose() {
+			renderTarget.dispose();
+			blurTarget.dispose();
+			planeGeometry.dispose();
+			plane.material.dispose();
+			depthMaterial.dispose();
+			horizontalBlur.dispose();
+			verticalBlur.dispose();
+		},
+	};
+}
@@ -0,0 +1,113 @@
+import { clearSetting, loadSetting, saveSetting } from "@/lib/storage";
+
+// Head position estimation for head-coupled perspective. Positions are in
+// centimeters relative to the screen center: +x right, +y up, +z towards the
+// viewer, so they map directly onto the off-axis projection's window.
+
+const CALIBRATION_KEY = "model-viewer.calibration";
+
+// Average adult inter-pupillary distance
+export const IPD_CM = 6.3;
+
+// Focal length as a fraction of image width for a typical ~60° webcam
+const DEFAULT_FOCAL = 1 / (2 * Math.tan((60 * Math.PI) / 360));
+
+const MIN_DISTANCE_CM = 10;
+
+export const DEFAULT_CALIBRATION = {
+	screenDiagonalIn: 15.6,
+	viewingDistanceCm: 60,
+	cameraOffsetXCm: 0,
+	cameraOffsetYCm: null, // null = just above the top edge of the screen
+	focal: DEFAULT_FOCAL,
+	calibrated: false,
+};
+
+export function loadCalibration() {
+	return loadSetting(CALIBRATION_KEY, DEFAULT_CALIBRATION);
+}
+
+export function saveCalibration(calibration) {
+	saveSetting(CALIBRATION_KEY, calibration);
+}
+
+export function clearCalibration() {
+	clearSetting(CALIBRATION_KEY);
+}
+
+// Physical screen size from its diagonal and the screen's pixel aspect
+export function getScreenSize(calibration) {
+	const widthPx = window.screen.width;
+	const heightPx = window.screen.height;
+	const cmPerPx =
+		(calibration.screenDiagonalIn * 2.54) / Math.hypot(widthPx, heightPx);
+
+	return {
+		widthCm: widthPx * cmPerPx,
+		heightCm: heightPx * cmPerPx,
+		cmPerPx,
+	};
+}
+
+export function getCameraOffset(calibration) {
+	const { heightCm } = getScreenSize(calibration);
+	return {
+		x: calibration.cameraOffsetXCm,
+		y: calibration.cameraOffsetYCm ?? heightCm / 2 + 1,
+	};
+}
+
+function averagePoints(landmarks, indices) {
+	let x = 0;
+	let y = 0;
+	for (const index of indices) {
+		x += landmarks[index].x;
+		y += landmarks[index].y;
+	}
+	return { x: x / indices.length, y: y / indices.length };
+}
+
+// Eye centers, from the iris landmarks when the model provides them (478
+// point mesh) and from the eye corners otherwise
+function getEyeCenters(landmarks) {
+	if (landmarks.length > 473) {
+		return [landmarks[468], landmarks[473]];
+	}
+	return [averagePoints(landmarks, [33, 133]), averagePoints(landmarks, [362, 263])];
+}
+
+// Eye midpoint in normalized image coordinates, and eye spacing in units of
+// image width. `aspect` is the video's height / width.
+export function measureEyes(landmarks, aspect) {
+	const [right, left] = getEyeCenters(landmarks);
+	return {
+		x: (right.x + left.x) / 2,
+		y: (right.y + left.y) / 2,
+		spacing: Math.hypot(right.x - left.x, (right.y - left.y) * aspect),
+	};
+}
+
+// Focal length that makes the current eye spacing read as `distanceCm`
+export function focalFromCapture(spacing, distanceCm) {
+	return (distanceCm * spacing) / IPD_CM;
+}
+
+export function estimateHeadPosition(landmarks, aspect, calibration) {
+	const eyes = measureEyes(landmarks, aspect);
+	if (eyes.spacing <= 0) return null;
+
+	// Centimeters per image width at the head's depth
+	const cmPerImage = IPD_CM / eyes.spacing;
+	const offset = getCameraOffset(calibration);
+
+	// The camera image is not mirrored: moving right moves the eyes left
+	return {
+		x: (0.5 - eyes.x) * cmPerImage + offset.x,
+		y: (0.5 - eyes.y) * aspect * cmPerImage + offset.y,
+		z: Math.max(MIN_DISTANCE_CM, cmPerImage * calibration.focal),
+	};
+}
+
+export function getDefaultHeadPosition(calibration) {
+	return { x: 0, y: 0, z: calibration.viewingDistanceCm };
+}
@@ -0,0 +1,217 @@
+import * as THREE from "three";
+import { EXRLoader } from "three/examples/jsm/loaders/EXRLoader.js";
+import { HDRLoader } from "three/examples/jsm/loaders/HDRLoader.js";
+import { loadSetting, saveSetting } from "@/lib/storage";
+
+// Lighting subsystem: PMREM-prefiltered environment maps for image based
+// lighting (bundled HDRI presets or a user-supplied .hdr/.exr), plus the
+// direct lights and the renderer's tone mapping and exposure.
+
+export const ENVIRONMENT_EXTENSIONS = [".hdr", ".exr"];
+
+export const TONE_MAPPINGS = {
+	none: { label: "None", value: THREE.NoToneMapping },
+	linear: { label: "Linear", value: THREE.LinearToneMapping },
+	reinhard: { label: "Reinhard", value: THREE.ReinhardToneMapping },
+	cineon: { label: "Cineon", value: THREE.CineonToneMapping },
+	aces: { label: "ACES Filmic", value: THREE.ACESFilmicToneMapping },
+	agx: { label: "AgX", value: THREE.AgXToneMapping },
+	neutral: { label: "Khronos Neutral", value: THREE.NeutralToneMapping },
+};
+
+// Bundled HDRIs: CC0 Poly Haven maps from @pmndrs/assets, as base64 EXR
+// modules imported on first use so each one is its own chunk. Direct light
+// intensities are lowered when an environment provides the ambient term;
+// "none" keeps the original direct-only lighting.
+export const ENVIRONMENT_PRESETS = {
+	none: { label: "None (direct lights)", ambient: 0.75, directional: 0.9 },
+	studio: {
+		label: "Studio",
+		ambient: 0,
+		directional: 0.6,
+		load: () => import("@pmndrs/assets/hdri/studio.exr.js"),
+	},
+	outdoor: {
+		label: "Outdoor",
+		ambient: 0,
+		directional: 1.2,
+		load: () => import("@pmndrs/assets/hdri/park.exr.js"),
+	},
+	neutral: {
+		label: "Neutral",
+		ambient: 0,
+		directional: 0.4,
+		load: () => import("@pmndrs/assets/hdri/apartment.exr.js"),
+	},
+};
+
+const CUSTOM_ENVIRONMENT = { ambient: 0, directional: 0.4 };
+
+export const DEFAULT_LIGHTING = {
+	environment: "studio", // preset name or "custom"
+	intensity: 1,
+	rotation: 0, // degrees about the vertical axis
+	toneMapping: "aces",
+	exposure: 1,
+};
+
+const LIGHTING_KEY = "model-viewer.lighting";
+
+// A dropped environment file isn't persisted, so a stored "custom" falls
+// back to the default preset
+export function loadLightingSettings() {
+	const stored = loadSetting(LIGHTING_KEY, DEFAULT_LIGHTING);
+	return ENVIRONMENT_PRESETS[stored.environment]
+		? stored
+		: { ...stored, environment: DEFAULT_LIGHTING.environment };
+}
+
+export function saveLightingSettings(settings) {
+	saveSetting(LIGHTING_KEY, settings);
+}
+
+function roundParam(value) {
+	return String(Number(value.toFixed(3)));
+}
+
+// Lighting as URL params, e.g. ?env=outdoor&envIntensity=1.5&envRotation=90
+// &tone=agx&exposure=1.2. Invalid values are ignored.
+export function getLightingFromUrl(search = window.location.search) {
+	const params = new URLSearchParams(search);
+	const number = (key) => {
+		const value = params.get(key);
+		return value !== null && Number.isFinite(Number(value))
+			? Number(value)
+			: undefined;
+	};
+	const environment = params.get("env");
+	const toneMapping = params.get("tone");
+	const overrides = {
+		environment: ENVIRONMENT_PRESETS[environment] ? environment : undefined,
+		intensity: number("envIntensity"),
+		rotation: number("envRotation"),
+		toneMapping: TONE_MAPPINGS[toneMapping] ? toneMapping : undefined,
+		exposure: number("exposure"),
+	};
+	return Object.fromEntries(
+		Object.entries(overrides).filter(([, value]) => value !== undefined),
+	);
+}
+
+// Params for the values that differ from the defaults, null for the rest. A
+// custom environment file can't be linked, so it's left out.
+export function lightingToParams(settings) {
+	const changed = (key) => settings[key] !== DEFAULT_LIGHTING[key];
+	return {
+		env:
+			changed("environment") && ENVIRONMENT_PRESETS[settings.environment]
+				? settings.environment
+				: null,
+		envIntensity: changed("intensity") ? roundParam(settings.intensity) : null,
+		envRotation: changed("rotation") ? roundParam(settings.rotation) : null,
+		tone: changed("toneMapping") ? settings.toneMapping : null,
+		exposure: changed("exposure") ? roundParam(settings.exposure) : null,
+	};
+}
+
+export function isEnvironmentFile(name) {
+	const lower = name.toLowerCase();
+	return ENVIRONMENT_EXTENSIONS.some((extension) => lower.endsWith(extension));
+}
+
+export function createLightingRig(renderer, scene, lights) {
+	const pmrem = new THREE.PMREMGenerator(renderer);
+	const presetTargets = new Map(); // preset name -> promise of its PMREM render target
+	let customTarget = null;
+	let current = null; // the settings last applied
+	let disposed = false;
+
+	const loadPreset = (name) => {
+		if (!presetTargets.has(name)) {
+			const target = ENVIRONMENT_PRESETS[name]
+				.load()
+				.then(({ default: url }) => new EXRLoader().loadAsync(url))
+				.then((texture) => {
+					const result = disposed ? null : pmrem.fromEquirectangular(texture);
+					texture.dispose();
+					return result;
+				});
+			// Failed loads are retried the next time the preset is picked
+			target.catch(() => presetTargets.delete(name));
+			presetTargets.set(name, target);
+		}
+		return presetTargets.get(name);
+	};
+
+	const setEnvironment = (texture, preset) => {
+		scene.environment = texture;
+		lights.ambient.intensity = preset.ambient;
+		lights.directional.intensity = preset.directional;
+	};
+
+	return {
+		async loadEnvironmentFile(file) {
+			const url = URL.createObjectURL(file);
+			try {
+				const loader = file.name.toLowerCase().endsWith(".exr")
+					? new EXRLoader()
+					: new HDRLoader();
+				const texture = await loader.loadAsync(url);
+				texture.mapping = THREE.EquirectangularReflectionMapping;
+
+				customTarget?.dispose();
+				customTarget = pmrem.fromEquirectangular(texture);
+				texture.dispose();
+			} finally {
+				URL.revokeObjectURL(url);
+			}
+		},
+
+		// Presets are loaded on first use; the previous environment stays
+		// until they're ready
+		apply(settings) {
+			current = settings;
+			const isCustom = settings.environment === "custom" && customTarget;
+			const preset = isCustom
+				? CUSTOM_ENVIRONMENT
+				: (ENVIRONMENT_PRESETS[settings.environment] ?? ENVIRONMENT_PRESETS.none);
+
+			if (isCustom) {
+				setEnvironment(customTarget.texture, preset);
+			} else if (preset.load) {
+				loadPreset(settings.environment)
+					.then((target) => {
+						if (current === settings && target) {
+							setEnvironment(target.texture, preset);
+						}
+					})
+					.catch((error) => {
+						console.error(`Failed to load environment ${settings.environment}:`, error);
+					});
+			} else {
+				setEnvironment(null, preset);
+			}
+			scene.environmentIntensity = settings.intensity;
+			scene.environmentRotation.set(
+				0,
+				THREE.MathUtils.degToRad(settings.rotation),
+				0,
+			);
+
+			renderer.toneMapping =
+				TONE_MAPPINGS[settings.toneMapping]?.value ??
+				THREE.ACESFilmicToneMapping;
+			renderer.toneMappingExposure = settings.exposure;
+		},
+
+		dispose() {
+			disposed = true;
+			for (const target of presetTargets.values()) {
+				target.then((value) => value?.dispose()).catch(() => {});
+			}
+			presetTargets.clear();
+			customTarget?.dispose();
+			pmrem.dispose();
+		},
+	};
+}
@@ -0,0 +1,51 @@
+import { MeshoptDecoder } from "three/examples/jsm/libs/meshopt_decoder.module.js";
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+
+// Decoder binaries are copied out of three.js at build time (see
+// vite.config.js) and served from our own base path, so compressed assets
+// load offline and behind the nginx deployment.
+const DECODER_PATH = `${import.meta.env.BASE_URL}decoders/`;
+
+// Decoders own worker pools, so the Draco loader is shared across model
+// loads. The KTX2 loader fetches through its manager, so there is one per
+// loading manager, released once that manager's model is replaced.
+let dracoLoader = null;
+const ktx2Loaders = new WeakMap();
+
+function getDracoLoader() {
+	if (!dracoLoader) {
+		dracoLoader = new DRACOLoader();
+		dracoLoader.setDecoderPath(`${DECODER_PATH}draco/`);
+	}
+	return dracoLoader;
+}
+
+// KTX2 images are fetched through the KTX2 loader's own manager, so it is
+// created on this load's manager for dropped .ktx2 siblings to resolve too
+function getKTX2Loader(manager, renderer) {
+	let loader = ktx2Loaders.get(manager);
+	if (!loader) {
+		loader = new KTX2Loader(manager);
+		loader.setTranscoderPath(`${DECODER_PATH}basis/`);
+		loader.detectSupport(renderer);
+		ktx2Loaders.set(manager, loader);
+	}
+	return loader;
+}
+
+export function createGLTFLoader(manager, renderer) {
+	return new GLTFLoader(manager)
+		.setDRACOLoader(getDracoLoader())
+		.setKTX2Loader(getKTX2Loader(manager, renderer))
+		.setMeshoptDecoder(MeshoptDecoder);
+}
+
+// Terminates the KTX2 workers of `manager`'s loader. The glTF parser keeps
+// loading textures through it (material variants), so only call this once
+// the model is gone.
+export function releaseGLTFLoader(manager) {
+	ktx2Loaders.get(manager)?.dispose();
+	ktx2Loaders.delete(manager);
+}
@@ -0,0 +1,202 @@
+import * as THREE from "three";
+
+// Material inspector: the materials of the loaded model, their editable
+// PBR parameters and texture slots, and glTF KHR_materials_variants.
+
+// Numeric parameters, shown for the materials that have them
+export const MATERIAL_PARAMETERS = [
+	{ key: "metalness", label: "Metalness", min: 0, max: 1, step: 0.01 },
+	{ key: "roughness", label: "Roughness", min: 0, max: 1, step: 0.01 },
+	{ key: "emissiveIntensity", label: "Emissive intensity", min: 0, max: 10, step: 0.1 },
+	{ key: "opacity", label: "Opacity", min: 0, max: 1, step: 0.01 },
+	{ key: "alphaTest", label: "Alpha cutoff", min: 0, max: 1, step: 0.01 },
+	{ key: "envMapIntensity", label: "Environment intensity", min: 0, max: 3, step: 0.05 },
+	{ key: "aoMapIntensity", label: "Occlusion strength", min: 0, max: 1, step: 0.01 },
+	{ key: "clearcoat", label: "Clearcoat", min: 0, max: 1, step: 0.01 },
+	{ key: "clearcoatRoughness", label: "Clearcoat roughness", min: 0, max: 1, step: 0.01 },
+	{ key: "sheen", label: "Sheen", min: 0, max: 1, step: 0.01 },
+	{ key: "sheenRoughness", label: "Sheen roughness", min: 0, max: 1, step: 0.01 },
+	{ key: "transmission", label: "Transmission", min: 0, max: 1, step: 0.01 },
+	{ key: "thickness", label: "Thickness", min: 0, max: 5, step: 0.05 },
+	{ key: "ior", label: "IOR", min: 1, max: 2.333, step: 0.01 },
+	{ key: "iridescence", label: "Iridescence", min: 0, max: 1, step: 0.01 },
+	{ key: "specularIntensity", label: "Specular", min: 0, max: 1, step: 0.01 },
+	{ key: "shininess", label: "Shininess", min: 0, max: 200, step: 1 },
+];
+
+export const MATERIAL_COLORS = [
+	{ key: "color", label: "Base color" },
+	{ key: "emissive", label: "Emissive" },
+	{ key: "sheenColor", label: "Sheen color" },
+	{ key: "specularColor", label: "Specular color" },
+	{ key: "attenuationColor", label: "Attenuation color" },
+];
+
+// Flags that change the compiled shader need material.needsUpdate
+export const MATERIAL_FLAGS = [
+	{ key: "transparent", label: "Transparent" },
+	{ key: "doubleSided", label: "Double sided" },
+	{ key: "wireframe", label: "Wireframe" },
+	{ key: "flatShading", label: "Flat shading" },
+];
+
+// Texture slots by material map, with the color space their data is in
+export const MATERIAL_MAPS = [
+	{ key: "map", label: "Base color", colorSpace: THREE.SRGBColorSpace },
+	{ key: "normalMap", label: "Normal", colorSpace: THREE.NoColorSpace },
+	{ key: "roughnessMap", label: "Roughness", colorSpace: THREE.NoColorSpace },
+	{ key: "metalnessMap", label: "Metalness", colorSpace: THREE.NoColorSpace },
+	{ key: "aoMap", label: "Occlusion", colorSpace: THREE.NoColorSpace },
+	{ key: "emissiveMap", label: "Emissive", colorSpace: THREE.SRGBColorSpace },
+	{ key: "alphaMap", label: "Alpha", colorSpace: THREE.NoColorSpace },
+	{ key: "clearcoatMap", label: "Clearcoat", colorSpace: THREE.NoColorSpace },
+	{ key: "clearcoatNormalMap", label: "Clearcoat normal", colorSpace: THREE.NoColorSpace },
+	{ key: "sheenColorMap", label: "Sheen color", colorSpace: THREE.SRGBColorSpace },
+	{ key: "transmissionMap", label: "Transmission", colorSpace: THREE.NoColorSpace },
+	{ key: "specularColorMap", label: "Specular color", colorSpace: THREE.SRGBColorSpace },
+];
+
+function getMeshMaterials(mesh) {
+	return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+}
+
+// Unique materials of the model: [{material, meshes}] with their mesh count
+export function collectMaterials(model) {
+	const entries = new Map();
+	model.traverse((child) => {
+		if (!child.material) return;
+		for (const material of getMeshMaterials(child)) {
+			const entry = entries.get(material) ?? { material, meshes: 0 };
+			entry.meshes++;
+			entries.set(material, entry);
+		}
+	});
+	return Array.from(entries.values());
+}
+
+export function getMaterialFlag(material, key) {
+	return key === "doubleSided" ? material.side === THREE.DoubleSide : !!material[key];
+}
+
+export function setMaterialFlag(material, key, value) {
+	if (key === "doubleSided") {
+		material.side = value ? THREE.DoubleSide : THREE.FrontSide;
+	} else {
+		material[key] = value;
+	}
+	material.needsUpdate = true;
+}
+
+export function setMaterialParameter(material, key, value) {
+	// Alpha testing compiles in only for a non-zero cutoff
+	if (key === "alphaTest" && (material.alphaTest > 0) !== (value > 0)) {
+		material.needsUpdate = true;
+	}
+	material[key] = value;
+}
+
+// Small data URL preview of a texture, null for compressed and data textures
+// that can't be drawn to a canvas
+const thumbnails = new WeakMap();
+
+export function getTextureThumbnail(texture, size = 48) {
+	if (thumbnails.has(texture)) return thumbnails.get(texture);
+
+	const image = texture.image;
+	const drawable =
+		(typeof ImageBitmap !== "undefined" && image instanceof ImageBitmap) ||
+		image instanceof HTMLImageElement ||
+		image instanceof HTMLCanvasElement;
+	if (drawable && !image.width) return null; // still loading, try again later
+
+	let thumbnail = null;
+	if (drawable) {
+		const canvas = document.createElement("canvas");
+		canvas.width = size;
+		canvas.height = size;
+		canvas.getContext("2d").drawImage(image, 0, 0, size, size);
+		thumbnail = canvas.toDataURL();
+	}
+	thumbnails.set(texture, thumbnail);
+	return thumbnail;
+}
+
+// Loads an image file into a material slot. The new texture keeps the UV
+// channel, wrapping and transform of the one it replaces; `flipY` applies
+// to empty slots (glTF textures are not flipped).
+export function loadMaterialTexture(material, key, file, { flipY }) {
+	const slot = MATERIAL_MAPS.find((entry) => entry.key === key);
+	const url = URL.createObjectURL(file);
+
+	return new THREE.TextureLoader()
+		.loadAsync(url)
+		.then((texture) => {
+			const previous = material[key];
+			if (previous) {
+				texture.channel = previous.channel;
+				texture.wrapS = previous.wrapS;
+				texture.wrapT = previous.wrapT;
+				texture.offset.copy(previous.offset);
+				texture.repeat.copy(previous.repeat);
+				texture.rotation = previous.rotation;
+				texture.center.copy(previous.center);
+				texture.flipY = previous.flipY;
+			} else {
+				texture.flipY = flipY;
+			}
+			texture.colorSpace = slot.colorSpace;
+			texture.name = file.name;
+			texture.needsUpdate = true;
+
+			material[key] = texture;
+			material.needsUpdate = true;
+		})
+		.finally(() => URL.revokeObjectURL(url));
+}
+
+export function clearMaterialTexture(material, key) {
+	material[key] = null;
+	material.needsUpdate = true;
+}
+
+// KHR_materials_variants names defined by a glTF asset
+export function getMaterialVariants(gltf) {
+	const variants = gltf?.parser?.json.extensions?.KHR_materials_variants?.variants;
+	return variants ? variants.map((variant, index) => variant.name ?? `Variant ${index + 1}`) : [];
+}
+
+// Switches every mapped primitive to a variant's material, or back to its
+// default material for `null`
+export function selectMaterialVariant(gltf, variantIndex) {
+	const parser = gltf.parser;
+	const meshes = [];
+	gltf.scene.traverse((child) => {
+		if (child.isMesh) meshes.push(child);
+	});
+
+	return Promise.all(
+		meshes.map(async (mesh) => {
+			const association = parser.associations.get(mesh);
+			if (association?.primitives === undefined) return;
+			const primitiveDef =
+				parser.json.meshes[association.meshes].primitives[association.primitives];
+			const mappings = primitiveDef.extensions?.KHR_materials_variants?.mappings;
+			if (!mappings) return;
+
+			mesh.userData.defaultMaterial ??= mesh.material;
+			const mapping =
+				variantIndex === null
+					? null
+					: mappings.find((entry) => entry.variants.includes(variantIndex));
+			if (!mapping) {
+				mesh.material = mesh.userData.defaultMaterial;
+				return;
+			}
+
+			// Variant materials get the same skinning / vertex color tweaks as
+			// the loader gives the defaults
+			mesh.material = await parser.getDependency("material", mapping.material);
+			parser.assignFinalMaterial(mesh);
+		}),
+	);
+}
@@ -0,0 +1,85 @@
+import {
+	FaceLandmarker,
+	FilesetResolver,
+	HandLandmarker,
+} from "@mediapipe/tasks-vision";
+
+// MediaPipe runtime: the vision WASM fileset and the landmarker task models.
+// Both are versioned and served from our own base path (the WASM is copied
+// from the installed package at build time, the models are downloaded once
+// by the build), so tracking works offline and can't drift from the JS.
+const MEDIAPIPE_VERSION = import.meta.env.VITE_MEDIAPIPE_VERSION;
+
+const LOCAL_BASE =
+	import.meta.env.VITE_MEDIAPIPE_BASE_URL ??
+	`${import.meta.env.BASE_URL}mediapipe/`;
+
+// Set VITE_MEDIAPIPE_REMOTE_FALLBACK=false on air-gapped deployments to
+// skip the pinned CDN copies when the local files are missing
+const REMOTE_FALLBACK =
+	import.meta.env.VITE_MEDIAPIPE_REMOTE_FALLBACK !== "false";
+
+const MODELS = {
+	face: "face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+	hand: "hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
+};
+
+const SOURCES = [
+	{
+		name: "local",
+		wasm: `${LOCAL_BASE}wasm`,
+		models: `${LOCAL_BASE}models/`,
+	},
+	REMOTE_FALLBACK && {
+		name: "remote",
+		wasm: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`,
+		models: "https://storage.googleapis.com/mediapipe-models/",
+	},
+].filter(Boolean);
+
+async function createFromSource(source) {
+	const vision = await FilesetResolver.forVisionTasks(source.wasm);
+
+	const faceLandmarker = await FaceLandmarker.createFromOptions(vision, {
+		baseOptions: {
+			modelAssetPath: `${source.models}${MODELS.face}`,
+			delegate: "GPU",
+		},
+		outputFaceBlendshapes: true,
+		runningMode: "VIDEO",
+		numFaces: 1,
+	});
+
+	try {
+		const handLandmarker = await HandLandmarker.createFromOptions(vision, {
+			baseOptions: {
+				modelAssetPath: `${source.models}${MODELS.hand}`,
+				delegate: "GPU",
+			},
+			runningMode: "VIDEO",
+			numHands: 2,
+		});
+		return { faceLandmarker, handLandmarker };
+	} catch (error) {
+		faceLandmarker.close();
+		throw error;
+	}
+}
+
+// Creates the face and hand landmarkers, trying our own copies first and
+// then the pinned remote ones. Rejects with the last error if none load.
+export async function createLandmarkers() {
+	let lastError = null;
+
+	for (const source of SOURCES) {
+		try {
+			const landmarkers = await createFromSource(source);
+			return { ...landmarkers, source: source.name };
+		} catch (error) {
+			console.warn(`MediaPipe ${source.name} assets failed to load:`, error);
+			lastError = error;
+		}
+	}
+
+	throw lastError;
+}
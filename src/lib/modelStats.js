@@ -0,0 +1,336 @@
+import * as THREE from "three";
+
+// Statistics and a validation report for the loaded model: primitive and
+// draw call counts, texture memory, skins, morph targets, animations and glTF
+// extensions, plus checks for common asset problems.
+
+export const STATS_REPORT_VERSION = 1;
+
+// Textures larger than this on either side are flagged
+export const HUGE_TEXTURE_SIZE = 4096;
+
+const COMPRESSED_FORMATS = {
+	[THREE.RGB_S3TC_DXT1_Format]: "BC1",
+	[THREE.RGBA_S3TC_DXT1_Format]: "BC1",
+	[THREE.RGBA_S3TC_DXT3_Format]: "BC2",
+	[THREE.RGBA_S3TC_DXT5_Format]: "BC3",
+	[THREE.RED_RGTC1_Format]: "BC4",
+	[THREE.RED_GREEN_RGTC2_Format]: "BC5",
+	[THREE.RGBA_BPTC_Format]: "BC7",
+	[THREE.RGB_ETC1_Format]: "ETC1",
+	[THREE.RGB_ETC2_Format]: "ETC2",
+	[THREE.RGBA_ETC2_EAC_Format]: "ETC2 EAC",
+	[THREE.RGBA_ASTC_4x4_Format]: "ASTC 4×4",
+	[THREE.RGB_PVRTC_4BPPV1_Format]: "PVRTC",
+	[THREE.RGBA_PVRTC_4BPPV1_Format]: "PVRTC",
+};
+
+const IMAGE_TYPES = {
+	"image/png": "PNG",
+	"image/jpeg": "JPEG",
+	"image/webp": "WebP",
+	"image/avif": "AVIF",
+	"image/ktx2": "KTX2",
+};
+
+function getMaterials(object) {
+	if (!object.material) return [];
+	return Array.isArray(object.material) ? object.material : [object.material];
+}
+
+function getObjectLabel(object) {
+	return object.name || object.type;
+}
+
+// Triangles, line segments or points an object draws, per the draw range
+function countPrimitives(object) {
+	const geometry = object.geometry;
+	const position = geometry?.attributes.position;
+	const counts = { triangles: 0, lines: 0, points: 0 };
+	if (!position) return counts;
+
+	const total = geometry.index ? geometry.index.count : position.count;
+	const { start, count: rangeCount } = geometry.drawRange;
+	const count = Math.max(0, Math.min(total - start, rangeCount));
+	const instances = object.isInstancedMesh ? object.count : 1;
+
+	if (object.isMesh) {
+		counts.triangles = Math.floor(count / 3) * instances;
+	} else if (object.isLineSegments) {
+		counts.lines = Math.floor(count / 2);
+	} else if (object.isLineLoop) {
+		counts.lines = count;
+	} else if (object.isLine) {
+		counts.lines = Math.max(0, count - 1);
+	} else if (object.isPoints) {
+		counts.points = count;
+	}
+	return counts;
+}
+
+function getTextureSize(texture) {
+	const image = texture.image ?? {};
+	return {
+		width: image.width ?? image.videoWidth ?? 0,
+		height: image.height ?? image.videoHeight ?? 0,
+	};
+}
+
+function getTextureFormat(texture) {
+	const source = IMAGE_TYPES[texture.userData.mimeType] ?? null;
+	let gpu;
+	if (texture.isCompressedTexture) {
+		gpu = COMPRESSED_FORMATS[texture.format] ?? "Compressed";
+	} else if (texture.type === THREE.HalfFloatType) {
+		gpu = "RGBA16F";
+	} else if (texture.type === THREE.FloatType) {
+		gpu = "RGBA32F";
+	} else {
+		gpu = "RGBA8";
+	}
+	return source ? `${source} · ${gpu}` : gpu;
+}
+
+// GPU memory estimate: the compressed mip chain as is, otherwise RGBA texels
+// plus a third for generated mipmaps
+function getTextureBytes(texture) {
+	if (texture.isCompressedTexture) {
+		return texture.mipmaps.reduce((sum, mipmap) => sum + (mipmap.data?.byteLength ?? 0), 0);
+	}
+	const { width, height } = getTextureSize(texture);
+	const channelBytes =
+		texture.type === THREE.FloatType ? 4 : texture.type === THREE.HalfFloatType ? 2 : 1;
+	const bytes = width * height * 4 * channelBytes;
+	return texture.generateMipmaps ? Math.round((bytes * 4) / 3) : bytes;
+}
+
+function getTextureName(texture, index) {
+	if (texture.name) return texture.name;
+	const src = texture.image?.src;
+	if (src && !src.startsWith("blob:") && !src.startsWith("data:")) {
+		return decodeURIComponent(src.split("/").pop().split("?")[0]);
+	}
+	return `Texture ${index + 1}`;
+}
+
+// Unique textures used by the model's materials, with the slots using them
+function collectTextures(model) {
+	const textures = new Map();
+	model.traverse((child) => {
+		for (const material of getMaterials(child)) {
+			for (const [key, value] of Object.entries(material)) {
+				if (!value?.isTexture) continue;
+				const slots = textures.get(value) ?? new Set();
+				slots.add(key);
+				textures.set(value, slots);
+			}
+		}
+	});
+
+	return Array.from(textures, ([texture, slots], index) => ({
+		texture,
+		name: getTextureName(texture, index),
+		...getTextureSize(texture),
+		format: getTextureFormat(texture),
+		bytes: getTextureBytes(texture),
+		slots: Array.from(slots),
+	}));
+}
+
+export function formatBytes(bytes) {
+	if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+	if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${bytes} B`;
+}
+
+// Counts for the model as loaded. `gltf` is the glTF loader result (null for
+// other formats) and `clips` its animation clips.
+export function getModelStats(model, gltf, clips) {
+	const stats = {
+		vertices: 0,
+		triangles: 0,
+		lines: 0,
+		points: 0,
+		drawCalls: 0,
+		meshes: 0,
+		materials: 0,
+		skins: 0,
+		bones: 0,
+		morphTargets: { meshes: 0, targets: 0 },
+	};
+	const materials = new Set();
+	const skeletons = new Set();
+	const bones = new Set();
+
+	model.traverse((child) => {
+		if (!child.isMesh && !child.isLine && !child.isPoints) return;
+		if (child.isMesh) stats.meshes++;
+
+		const geometry = child.geometry;
+		stats.vertices += geometry?.attributes.position?.count ?? 0;
+		const counts = countPrimitives(child);
+		stats.triangles += counts.triangles;
+		stats.lines += counts.lines;
+		stats.points += counts.points;
+
+		// One draw call per material group
+		for (const material of getMaterials(child)) materials.add(material);
+		stats.drawCalls +=
+			Array.isArray(child.material) && geometry?.groups.length > 0
+				? geometry.groups.length
+				: 1;
+
+		if (child.isSkinnedMesh && !skeletons.has(child.skeleton)) {
+			skeletons.add(child.skeleton);
+			for (const bone of child.skeleton.bones) bones.add(bone);
+		}
+
+		const targets = geometry?.morphAttributes.position?.length ?? 0;
+		if (targets > 0) {
+			stats.morphTargets.meshes++;
+			stats.morphTargets.targets += targets;
+		}
+	});
+	stats.materials = materials.size;
+	stats.skins = skeletons.size;
+	stats.bones = bones.size;
+
+	// Texture memory, overall and by resolution and format
+	const textures = collectTextures(model);
+	const groups = new Map();
+	for (const { width, height, format, bytes } of textures) {
+		const key = `${width}×${height} ${format}`;
+		const group = groups.get(key) ?? { resolution: `${width}×${height}`, format, count: 0, bytes: 0 };
+		group.count++;
+		group.bytes += bytes;
+		groups.set(key, group);
+	}
+	stats.textures = {
+		count: textures.length,
+		bytes: textures.reduce((sum, { bytes }) => sum + bytes, 0),
+		groups: Array.from(groups.values()).sort((a, b) => b.bytes - a.bytes),
+		list: textures.map(({ texture, ...entry }) => entry),
+	};
+
+	stats.animations = clips.map((clip) => ({
+		name: clip.name,
+		duration: clip.duration,
+	}));
+
+	const json = gltf?.parser.json;
+	stats.extensions = {
+		used: json?.extensionsUsed ?? [],
+		required: json?.extensionsRequired ?? [],
+	};
+
+	return stats;
+}
+
+// glTF nodes that no scene references
+function findUnusedNodes(json) {
+	if (!json?.nodes) return [];
+	const used = new Set();
+	const visit = (index) => {
+		if (used.has(index)) return;
+		used.add(index);
+		json.nodes[index]?.children?.forEach(visit);
+	};
+	for (const scene of json.scenes ?? []) scene.nodes?.forEach(visit);
+	return json.nodes
+		.map((node, index) => (used.has(index) ? null : node.name || `Node ${index}`))
+		.filter(Boolean);
+}
+
+// Problems worth fixing in the asset: [{id, severity, label, items}] for the
+// checks that found something
+export function validateModel(model, gltf) {
+	const found = {
+		missingNormals: new Set(),
+		missingTangents: new Set(),
+		negativeScale: new Set(),
+		hugeTextures: new Set(),
+		nonPowerOfTwo: new Set(),
+	};
+
+	model.traverse((child) => {
+		// An odd number of negative axes mirrors the object and flips its winding
+		if (child !== model && child.scale.x * child.scale.y * child.scale.z < 0) {
+			found.negativeScale.add(getObjectLabel(child));
+		}
+		if (!child.isMesh || !child.geometry) return;
+
+		const attributes = child.geometry.attributes;
+		for (const material of getMaterials(child)) {
+			if (!attributes.normal && !material.isMeshBasicMaterial) {
+				found.missingNormals.add(getObjectLabel(child));
+			}
+			if (material.normalMap && !attributes.tangent) {
+				found.missingTangents.add(getObjectLabel(child));
+			}
+		}
+	});
+
+	for (const { name, width, height } of collectTextures(model)) {
+		if (Math.max(width, height) > HUGE_TEXTURE_SIZE) {
+			found.hugeTextures.add(`${name} (${width}×${height})`);
+		}
+		if (
+			width > 0 &&
+			(!THREE.MathUtils.isPowerOfTwo(width) || !THREE.MathUtils.isPowerOfTwo(height))
+		) {
+			found.nonPowerOfTwo.add(`${name} (${width}×${height})`);
+		}
+	}
+
+	const checks = [
+		{
+			id: "missingNormals",
+			severity: "warning",
+			label: "Lit meshes without normals",
+			items: found.missingNormals,
+		},
+		{
+			id: "missingTangents",
+			severity: "info",
+			label: "Normal-mapped meshes without tangents (computed in the shader)",
+			items: found.missingTangents,
+		},
+		{
+			id: "hugeTextures",
+			severity: "warning",
+			label: `Textures over ${HUGE_TEXTURE_SIZE}px`,
+			items: found.hugeTextures,
+		},
+		{
+			id: "nonPowerOfTwo",
+			severity: "info",
+			label: "Non-power-of-two textures",
+			items: found.nonPowerOfTwo,
+		},
+		{
+			id: "unusedNodes",
+			severity: "warning",
+			label: "Nodes not in any scene",
+			items: findUnusedNodes(gltf?.parser.json),
+		},
+		{
+			id: "negativeScale",
+			severity: "warning",
+			label: "Nodes with negative scale",
+			items: found.negativeScale,
+		},
+	];
+
+	return checks
+		.map((check) => ({ ...check, items: Array.from(check.items) }))
+		.filter((check) => check.items.length > 0);
+}
+
+export function createStatsReport(stats, issues, modelName) {
+	return {
+		version: STATS_REPORT_VERSION,
+		model: modelName ?? null,
+		statistics: stats,
+		validation: issues,
+	};
+}
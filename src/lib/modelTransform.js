@@ -0,0 +1,228 @@
+import * as THREE from "three";
+import { loadSetting, saveSetting } from "@/lib/storage";
+
+// Shared model transform operations, driven by gestures and other inputs.
+// Rotation and scale happen around the model's center (the pivot that
+// frameModel stores), and scale stays within bounds of the framed scale.
+
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+
+function aroundPivot(model, apply) {
+	const pivot = model.userData.pivot;
+	if (!pivot) {
+		apply();
+		return;
+	}
+
+	model.updateMatrixWorld();
+	const before = model.localToWorld(pivot.clone());
+	apply();
+	model.updateMatrixWorld();
+	const after = model.localToWorld(pivot.clone());
+	model.position.add(before.sub(after));
+}
+
+// Rotates in view space (trackball style) by a quaternion
+export function rotateModel(model, quaternion) {
+	aroundPivot(model, () => model.quaternion.premultiply(quaternion));
+}
+
+export function scaleModel(model, factor) {
+	const base = model.userData.framedScale ?? model.scale.x;
+	const scale = Math.min(
+		Math.max(model.scale.x * factor, base * MIN_SCALE),
+		base * MAX_SCALE,
+	);
+	aroundPivot(model, () => model.scale.setScalar(scale));
+}
+
+// Moves the model by a fraction of the box's width and height
+export function panModel(model, x, y, dims) {
+	model.position.x += x * dims.width;
+	model.position.y += y * dims.height;
+}
+
+// View-space trackball rotation: angleX tilts about the horizontal axis
+// (positive brings the front down), angleY turns about the vertical axis
+// (positive brings the front right)
+export function trackballRotation(angleX, angleY) {
+	const angle = Math.hypot(angleX, angleY);
+	if (angle === 0) return null;
+	const axis = new THREE.Vector3(angleX / angle, angleY / angle, 0);
+	return new THREE.Quaternion().setFromAxisAngle(axis, angle);
+}
+
+// Framing: where and how large the model is placed in the box before any
+// user rotation, zoom or offset
+export const FRAMING_MODES = {
+	fit: "Fit to box",
+	fitWidth: "Fit to width",
+	realWorld: "Real-world size (meters)",
+	popOut: "Pop out of the screen",
+};
+
+const FIT_FRACTION = 0.6; // of the smallest box dimension
+const FIT_WIDTH_FRACTION = 0.9;
+
+const FRAMING_KEY = "model-viewer.framing";
+
+export const DEFAULT_FRAMING = { mode: "fit" };
+
+export function loadFramingSettings() {
+	const stored = loadSetting(FRAMING_KEY, DEFAULT_FRAMING);
+	return FRAMING_MODES[stored.mode] ? stored : { ...DEFAULT_FRAMING };
+}
+
+export function saveFramingSettings(settings) {
+	saveSetting(FRAMING_KEY, settings);
+}
+
+// Bounding box in the model's own space: before framing scales and moves
+// it, and independent of its current rotation
+export function getModelBounds(model) {
+	model.updateMatrixWorld(true);
+	const inverse = model.matrixWorld.clone().invert();
+	const matrix = new THREE.Matrix4();
+	const box = new THREE.Box3();
+
+	model.traverse((child) => {
+		if (!child.isMesh || !child.geometry?.attributes.position) return;
+		if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+		matrix.multiplyMatrices(inverse, child.matrixWorld);
+		box.union(child.geometry.boundingBox.clone().applyMatrix4(matrix));
+	});
+	return box;
+}
+
+// Frames the model in its unrotated pose and stores the framed scale, the
+// pivot (model center, in local space) and where the pivot sits when framed.
+// `worldPerMeter` is only used for real-world framing.
+export function frameModel(
+	model,
+	{ width, height, depth },
+	{ mode = "fit", snapToFloor = false, worldPerMeter = 1 } = {},
+) {
+	model.quaternion.identity();
+	model.updateMatrixWorld(true);
+
+	const box = new THREE.Box3().setFromObject(model);
+	const size = box.getSize(new THREE.Vector3());
+	if (size.length() === 0) {
+		return;
+	}
+
+	// Size at scale 1, so framing an already framed model gives the same result
+	const unscaled = size.divideScalar(model.scale.x);
+	const maxDimension = Math.max(unscaled.x, unscaled.y, unscaled.z);
+
+	let scale;
+	if (mode === "realWorld") {
+		scale = worldPerMeter;
+	} else if (mode === "fitWidth" && unscaled.x > 0) {
+		scale = (width * FIT_WIDTH_FRACTION) / unscaled.x;
+	} else {
+		scale = (Math.min(width, height, depth) * FIT_FRACTION) / maxDimension;
+	}
+	model.scale.setScalar(scale);
+
+	// Recalculate bounding box after scaling
+	model.updateMatrixWorld(true);
+	const scaledBox = new THREE.Box3().setFromObject(model);
+	const center = scaledBox.getCenter(new THREE.Vector3());
+
+	// Centered in the box, straddling the screen plane when popping out, and
+	// optionally resting on the box floor
+	const target = new THREE.Vector3(0, 0, mode === "popOut" ? 0 : -depth / 2);
+	if (snapToFloor) {
+		target.y = -height / 2 + (center.y - scaledBox.min.y);
+	}
+
+	model.userData.pivot = model.worldToLocal(center.clone());
+	model.userData.framedScale = scale;
+	model.userData.framedCenter = target.clone();
+	model.position.add(target.sub(center));
+}
+
+// The user's changes on top of the framing: rotation, zoom relative to the
+// framed scale, and offset of the model center from its framed position
+export function getViewState(model) {
+	const { pivot, framedScale, framedCenter } = model.userData;
+	if (!pivot) return null;
+
+	model.updateMatrixWorld();
+	const center = model.localToWorld(pivot.clone());
+	return {
+		quaternion: model.quaternion.toArray(),
+		zoom: model.scale.x / framedScale,
+		offset: center.sub(framedCenter).toArray(),
+	};
+}
+
+export function applyViewState(model, { quaternion, zoom, offset }) {
+	const { pivot, framedScale, framedCenter } = model.userData;
+	if (!pivot) return;
+
+	model.quaternion.fromArray(quaternion);
+	model.scale.setScalar(
+		framedScale * Math.min(Math.max(zoom, MIN_SCALE), MAX_SCALE),
+	);
+	model.updateMatrixWorld();
+	const center = model.localToWorld(pivot.clone());
+	const target = framedCenter.clone().add(new THREE.Vector3().fromArray(offset));
+	model.position.add(target.sub(center));
+}
+
+// Re-frames (e.g. for a new box size or framing mode) keeping the user's
+// rotation, zoom and offset
+export function reframeModel(model, dims, options) {
+	const state = getViewState(model);
+	frameModel(model, dims, options);
+	if (state) applyViewState(model, state);
+}
+
+function parseNumbers(value, count) {
+	if (!value) return null;
+	const numbers = value.split(",").map(Number);
+	return numbers.length === count && numbers.every(Number.isFinite)
+		? numbers
+		: null;
+}
+
+// View state and framing mode as URL params:
+//   ?frame=popOut&rot=qx,qy,qz,qw&zoom=1.5&offset=x,y,z
+// Defaults (and the view state while no model is loaded) map to null.
+export function viewStateToParams(state, framing) {
+	const round = (value) => Number(value.toFixed(4));
+	const isIdentity =
+		!state || state.quaternion.every((value, i) => round(value) === (i === 3 ? 1 : 0));
+	const hasOffset = state?.offset.some((value) => round(value) !== 0);
+	return {
+		frame: framing.mode !== DEFAULT_FRAMING.mode ? framing.mode : null,
+		rot: isIdentity ? null : state.quaternion.map(round).join(","),
+		zoom: state && round(state.zoom) !== 1 ? String(round(state.zoom)) : null,
+		offset: hasOffset ? state.offset.map(round).join(",") : null,
+	};
+}
+
+export function getViewFromUrl(search = window.location.search) {
+	const params = new URLSearchParams(search);
+	const mode = params.get("frame");
+	const quaternion = parseNumbers(params.get("rot"), 4);
+	const zoom = Number(params.get("zoom"));
+	const offset = parseNumbers(params.get("offset"), 3);
+
+	const hasState = quaternion || params.has("zoom") || offset;
+	return {
+		framing: FRAMING_MODES[mode] ? { mode } : null,
+		viewState: hasState
+			? {
+					quaternion: quaternion
+						? new THREE.Quaternion().fromArray(quaternion).normalize().toArray()
+						: [0, 0, 0, 1],
+					zoom: zoom > 0 ? zoom : 1,
+					offset: offset ?? [0, 0, 0],
+				}
+			: null,
+	};
+}
@@ -0,0 +1,129 @@
+// Morph targets of the loaded model, and the face "puppet" that drives them
+// from MediaPipe's face blendshapes. MediaPipe reports the ARKit blendshape
+// set, so rigs authored for ARKit (jawOpen, eyeBlinkLeft, ...) match by name.
+
+export const FACE_BLENDSHAPES = [
+	"browDownLeft",
+	"browDownRight",
+	"browInnerUp",
+	"browOuterUpLeft",
+	"browOuterUpRight",
+	"cheekPuff",
+	"cheekSquintLeft",
+	"cheekSquintRight",
+	"eyeBlinkLeft",
+	"eyeBlinkRight",
+	"eyeLookDownLeft",
+	"eyeLookDownRight",
+	"eyeLookInLeft",
+	"eyeLookInRight",
+	"eyeLookOutLeft",
+	"eyeLookOutRight",
+	"eyeLookUpLeft",
+	"eyeLookUpRight",
+	"eyeSquintLeft",
+	"eyeSquintRight",
+	"eyeWideLeft",
+	"eyeWideRight",
+	"jawForward",
+	"jawLeft",
+	"jawOpen",
+	"jawRight",
+	"mouthClose",
+	"mouthDimpleLeft",
+	"mouthDimpleRight",
+	"mouthFrownLeft",
+	"mouthFrownRight",
+	"mouthFunnel",
+	"mouthLeft",
+	"mouthLowerDownLeft",
+	"mouthLowerDownRight",
+	"mouthPressLeft",
+	"mouthPressRight",
+	"mouthPucker",
+	"mouthRight",
+	"mouthRollLower",
+	"mouthRollUpper",
+	"mouthShrugLower",
+	"mouthShrugUpper",
+	"mouthSmileLeft",
+	"mouthSmileRight",
+	"mouthStretchLeft",
+	"mouthStretchRight",
+	"mouthUpperUpLeft",
+	"mouthUpperUpRight",
+	"noseSneerLeft",
+	"noseSneerRight",
+];
+
+// Meshes with morph targets: [{mesh, name, targets: [{name, index}]}]
+export function collectMorphTargets(model) {
+	const meshes = [];
+	model.traverse((child) => {
+		const dictionary = child.morphTargetDictionary;
+		if (!child.isMesh || !dictionary || !child.morphTargetInfluences) return;
+
+		const targets = Object.entries(dictionary)
+			.map(([name, index]) => ({ name, index }))
+			.sort((a, b) => a.index - b.index);
+		if (targets.length > 0) {
+			meshes.push({ mesh: child, name: child.name || "Mesh", targets });
+		}
+	});
+	return meshes;
+}
+
+// Comparable form of a target name: drops namespaces ("blendShape1.jawOpen"),
+// spells out _L / _R sides, and ignores case and separators
+function normalizeName(name) {
+	const base = name.slice(Math.max(name.lastIndexOf("."), name.lastIndexOf(":")) + 1);
+	return base
+		.replace(/[_\s-]L$/i, "Left")
+		.replace(/[_\s-]R$/i, "Right")
+		.replace(/[^a-z0-9]/gi, "")
+		.toLowerCase();
+}
+
+const NORMALIZED_BLENDSHAPES = new Map(
+	FACE_BLENDSHAPES.map((name) => [normalizeName(name), name]),
+);
+
+// Morph targets matching a face blendshape: [{mesh, index, blendshape}]
+export function bindFaceBlendshapes(morphMeshes) {
+	const bindings = [];
+	for (const { mesh, targets } of morphMeshes) {
+		for (const target of targets) {
+			const blendshape = NORMALIZED_BLENDSHAPES.get(normalizeName(target.name));
+			if (blendshape) bindings.push({ mesh, index: target.index, blendshape });
+		}
+	}
+	return bindings;
+}
+
+export function countMatchedBlendshapes(bindings) {
+	return new Set(bindings.map((binding) => binding.blendshape)).size;
+}
+
+// Applies one frame of FaceLandmarker blendshape categories
+export function applyFaceBlendshapes(bindings, categories) {
+	const scores = new Map(
+		categories.map((category) => [category.categoryName, category.score]),
+	);
+	for (const { mesh, index, blendshape } of bindings) {
+		const score = scores.get(blendshape);
+		if (score !== undefined) mesh.morphTargetInfluences[index] = score;
+	}
+}
+
+// Releases the puppet's targets back to their rest value
+export function clearFaceBlendshapes(bindings) {
+	for (const { mesh, index } of bindings) {
+		mesh.morphTargetInfluences[index] = 0;
+	}
+}
+
+export function resetMorphTargets(morphMeshes) {
+	for (const { mesh } of morphMeshes) {
+		mesh.morphTargetInfluences.fill(0);
+	}
+}
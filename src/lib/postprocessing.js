@@ -0,0 +1,44 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
+import { GTAOPass } from "three/examples/jsm/postprocessing/GTAOPass.js";
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass.js";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
+
+// Screen-space ambient occlusion (GTAO) through an effect composer. The
+// output pass applies the renderer's tone mapping and color space, so the
+// result matches a direct render apart from the occlusion. Its buffers have a
+// stencil so section plane caps still draw.
+export function createAmbientOcclusion(renderer, scene, camera) {
+	const size = renderer.getSize({ x: 0, y: 0 });
+	const composer = new EffectComposer(
+		renderer,
+		new THREE.WebGLRenderTarget(size.x, size.y, {
+			type: THREE.HalfFloatType,
+			stencilBuffer: true,
+		}),
+	);
+	composer.setPixelRatio(renderer.getPixelRatio());
+	composer.setSize(size.x, size.y);
+
+	const aoPass = new GTAOPass(scene, camera, size.x, size.y);
+	aoPass.updateGtaoMaterial({ radius: 0.5, thickness: 1 });
+
+	composer.addPass(new RenderPass(scene, camera));
+	composer.addPass(aoPass);
+	composer.addPass(new OutputPass());
+
+	return {
+		// Follows the renderer's pixel ratio too, which captures change
+		setSize(width, height) {
+			composer.setPixelRatio(renderer.getPixelRatio());
+			composer.setSize(width, height);
+		},
+		render() {
+			composer.render();
+		},
+		dispose() {
+			aoPass.dispose();
+			composer.dispose();
+		},
+	};
+}
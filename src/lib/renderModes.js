@@ -0,0 +1,356 @@
+import * as THREE from "three";
+import { VertexNormalsHelper } from "three/examples/jsm/helpers/VertexNormalsHelper.js";
+import { VertexTangentsHelper } from "three/examples/jsm/helpers/VertexTangentsHelper.js";
+
+// Debug render modes. A mode swaps the model's materials for diagnostic ones
+// just for the frame being rendered, so the real materials (and any edits,
+// variants or recovered textures on them) are never replaced.
+
+export const RENDER_MODES = {
+	shaded: "Shaded",
+	wireframe: "Wireframe",
+	normals: "Vertex normals",
+	uvChecker: "UV checker",
+	texelDensity: "Texel density",
+	overdraw: "Overdraw",
+	albedo: "Albedo",
+	roughness: "Roughness",
+	metalness: "Metalness",
+	ambientOcclusion: "Ambient occlusion",
+	emissive: "Emissive",
+};
+
+export const DEFAULT_RENDER_DEBUG = {
+	mode: "shaded",
+	vertexNormals: false,
+	vertexTangents: false,
+};
+
+// Texel density the ramp is centered on, in texels per model unit (meters
+// for glTF). Blue is two stops below, red two stops above.
+export const TEXEL_DENSITY_TARGET = 512;
+
+// PBR channel views: which map and scalar feed them, which map channel holds
+// the data (glTF packs occlusion, roughness and metalness into R, G and B),
+// and whether the result is a color to show in sRGB
+const CHANNELS = {
+	albedo: { map: "map", factor: "color", swizzle: "rgb", color: true },
+	roughness: { map: "roughnessMap", factor: "roughness", swizzle: "ggg" },
+	metalness: { map: "metalnessMap", factor: "metalness", swizzle: "bbb" },
+	ambientOcclusion: { map: "aoMap", factor: null, swizzle: "rrr" },
+	emissive: { map: "emissiveMap", factor: "emissive", swizzle: "rgb", color: true },
+};
+
+// Skinning, morph targets and clipping planes behave as on the real materials
+const VERTEX_SHADER = /* glsl */ `
+#include <common>
+#include <morphtarget_pars_vertex>
+#include <skinning_pars_vertex>
+#include <logdepthbuf_pars_vertex>
+#include <clipping_planes_pars_vertex>
+
+uniform mat3 uvTransform;
+varying vec2 vChannelUv;
+varying vec3 vWorldPosition;
+
+void main() {
+	vChannelUv = (uvTransform * vec3(uv, 1.0)).xy;
+
+	#include <begin_vertex>
+	#include <morphinstance_vertex>
+	#include <morphtarget_vertex>
+	#include <skinbase_vertex>
+	#include <skinning_vertex>
+	#include <project_vertex>
+	#include <logdepthbuf_vertex>
+	#include <clipping_planes_vertex>
+
+	vWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+}
+`;
+
+const CHANNEL_FRAGMENT_SHADER = /* glsl */ `
+#include <common>
+#include <logdepthbuf_pars_fragment>
+#include <clipping_planes_pars_fragment>
+
+uniform vec3 factor;
+uniform sampler2D map;
+varying vec2 vChannelUv;
+varying vec3 vWorldPosition;
+
+void main() {
+	#include <clipping_planes_fragment>
+	#include <logdepthbuf_fragment>
+
+	vec3 value = factor;
+	#ifdef USE_CHANNEL_MAP
+		value *= texture2D(map, vChannelUv).SWIZZLE;
+	#endif
+	gl_FragColor = vec4(value, 1.0);
+
+	#ifdef COLOR_OUTPUT
+		#include <colorspace_fragment>
+	#endif
+}
+`;
+
+const TEXEL_DENSITY_FRAGMENT_SHADER = /* glsl */ `
+#include <common>
+#include <logdepthbuf_pars_fragment>
+#include <clipping_planes_pars_fragment>
+
+uniform vec2 textureSize;
+uniform float modelScale;
+uniform float targetDensity;
+varying vec2 vChannelUv;
+varying vec3 vWorldPosition;
+
+void main() {
+	#include <clipping_planes_fragment>
+	#include <logdepthbuf_fragment>
+
+	#ifdef USE_CHANNEL_MAP
+		// Texels and model units covered by this pixel
+		float texels = length(fwidth(vChannelUv * textureSize));
+		float units = length(fwidth(vWorldPosition)) / modelScale;
+		float stops = log2(texels / max(units, 1e-6) / targetDensity);
+		float t = clamp(stops / 4.0 + 0.5, 0.0, 1.0);
+		vec3 color = t < 0.5
+			? mix(vec3(0.1, 0.3, 1.0), vec3(0.1, 0.9, 0.2), t * 2.0)
+			: mix(vec3(0.1, 0.9, 0.2), vec3(1.0, 0.15, 0.1), t * 2.0 - 1.0);
+		gl_FragColor = vec4(color, 1.0);
+	#else
+		gl_FragColor = vec4(vec3(0.35), 1.0);
+	#endif
+}
+`;
+
+function createChannelMaterial(fragmentShader, defines, uniforms) {
+	return new THREE.ShaderMaterial({
+		vertexShader: VERTEX_SHADER,
+		fragmentShader,
+		defines,
+		uniforms: {
+			uvTransform: { value: new THREE.Matrix3() },
+			...uniforms,
+		},
+		clipping: true,
+		toneMapped: false,
+	});
+}
+
+// Points a channel material at the source material's current map, so edits
+// and texture swaps show up live (recompiling when a map comes or goes)
+function syncChannelMap(override, texture) {
+	if (texture) {
+		texture.updateMatrix();
+		override.uniforms.uvTransform.value.copy(texture.matrix);
+	}
+	const hadMap = "USE_CHANNEL_MAP" in override.defines;
+	if (!!texture === hadMap) return;
+	if (texture) {
+		override.defines.USE_CHANNEL_MAP = "";
+	} else {
+		delete override.defines.USE_CHANNEL_MAP;
+	}
+	override.needsUpdate = true;
+}
+
+// 8×8 grid of hue-shifted, labelled cells: stretching, seams and flipped or
+// mirrored UVs all show up at a glance
+function createCheckerTexture() {
+	const size = 512;
+	const cells = 8;
+	const cell = size / cells;
+	const canvas = document.createElement("canvas");
+	canvas.width = size;
+	canvas.height = size;
+	const context = canvas.getContext("2d");
+	context.font = `bold ${cell / 3}px sans-serif`;
+	context.textAlign = "center";
+	context.textBaseline = "middle";
+
+	for (let y = 0; y < cells; y++) {
+		for (let x = 0; x < cells; x++) {
+			const hue = (x / cells) * 360;
+			const lightness = (x + y) % 2 === 0 ? 70 : 45;
+			context.fillStyle = `hsl(${hue}, 60%, ${lightness}%)`;
+			context.fillRect(x * cell, y * cell, cell, cell);
+			context.fillStyle = "rgba(0, 0, 0, 0.6)";
+			context.fillText(
+				`${String.fromCharCode(65 + x)}${cells - y}`,
+				(x + 0.5) * cell,
+				(y + 0.5) * cell,
+			);
+		}
+	}
+
+	const texture = new THREE.CanvasTexture(canvas);
+	texture.colorSpace = THREE.SRGBColorSpace;
+	texture.wrapS = THREE.RepeatWrapping;
+	texture.wrapT = THREE.RepeatWrapping;
+	texture.anisotropy = 8;
+	return texture;
+}
+
+export function createRenderModes() {
+	const checkerTexture = createCheckerTexture();
+
+	// Modes that look the same on every material share one override
+	const shared = {
+		wireframe: new THREE.MeshBasicMaterial({
+			color: 0xd1d5db,
+			wireframe: true,
+			toneMapped: false,
+		}),
+		normals: new THREE.MeshNormalMaterial(),
+		uvChecker: new THREE.MeshBasicMaterial({ map: checkerTexture }),
+		overdraw: new THREE.MeshBasicMaterial({
+			color: new THREE.Color(0.12, 0.05, 0.02),
+			blending: THREE.AdditiveBlending,
+			transparent: true,
+			depthTest: false,
+			depthWrite: false,
+			toneMapped: false,
+		}),
+	};
+
+	// Per source material overrides: mode -> Map(source -> override)
+	const perMaterial = {};
+
+	const createOverride = (mode) => {
+		if (mode === "texelDensity") {
+			return createChannelMaterial(
+				TEXEL_DENSITY_FRAGMENT_SHADER,
+				{},
+				{
+					textureSize: { value: new THREE.Vector2(1, 1) },
+					modelScale: { value: 1 },
+					targetDensity: { value: TEXEL_DENSITY_TARGET },
+				},
+			);
+		}
+		const channel = CHANNELS[mode];
+		const defines = { SWIZZLE: channel.swizzle };
+		if (channel.color) defines.COLOR_OUTPUT = "";
+		return createChannelMaterial(CHANNEL_FRAGMENT_SHADER, defines, {
+			factor: { value: new THREE.Color() },
+			map: { value: null },
+		});
+	};
+
+	const syncOverride = (mode, override, source, modelScale) => {
+		override.side = source.side;
+		override.clippingPlanes = source.clippingPlanes;
+		if (mode === "texelDensity") {
+			const image = source.map?.image;
+			syncChannelMap(override, image?.width ? source.map : null);
+			if (image?.width) override.uniforms.textureSize.value.set(image.width, image.height);
+			override.uniforms.modelScale.value = modelScale;
+			return;
+		}
+
+		const channel = CHANNELS[mode];
+		const texture = source[channel.map] ?? null;
+		const factor = channel.factor ? source[channel.factor] : undefined;
+		override.uniforms.map.value = texture;
+		syncChannelMap(override, texture);
+		if (factor?.isColor) {
+			override.uniforms.factor.value.copy(factor);
+		} else {
+			// Missing scalars (unlit or legacy materials) read as fully on
+			override.uniforms.factor.value.setScalar(factor ?? 1);
+		}
+	};
+
+	const getOverride = (mode, source, modelScale) => {
+		if (shared[mode]) {
+			// Section planes are shared by all of the model's materials
+			shared[mode].clippingPlanes = source.clippingPlanes;
+			return shared[mode];
+		}
+
+		perMaterial[mode] ??= new Map();
+		let override = perMaterial[mode].get(source);
+		if (!override) {
+			override = createOverride(mode);
+			perMaterial[mode].set(source, override);
+		}
+		syncOverride(mode, override, source, modelScale);
+		return override;
+	};
+
+	return {
+		// Swaps in the mode's materials for one render; call the returned
+		// function afterwards to put the real materials back
+		apply(model, mode) {
+			const swapped = [];
+			model.traverse((child) => {
+				if (!child.isMesh || !child.material) return;
+				swapped.push([child, child.material]);
+				child.material = Array.isArray(child.material)
+					? child.material.map((source) => getOverride(mode, source, model.scale.x))
+					: getOverride(mode, child.material, model.scale.x);
+			});
+			return () => {
+				for (const [mesh, material] of swapped) {
+					mesh.material = material;
+				}
+			};
+		},
+
+		// Drops the per material overrides, when their model is unloaded
+		clear() {
+			for (const overrides of Object.values(perMaterial)) {
+				for (const material of overrides.values()) {
+					material.dispose();
+				}
+				overrides.clear();
+			}
+		},
+
+		dispose() {
+			this.clear();
+			for (const material of Object.values(shared)) {
+				material.dispose();
+			}
+			checkerTexture.dispose();
+		},
+	};
+}
+
+// Vertex normal (and, where the geometry has them, tangent) line helpers for
+// the model's meshes, `size` world units long
+export function createVertexHelpers(model, { normals, tangents, size }) {
+	const object = new THREE.Group();
+	const helpers = [];
+
+	model.traverse((child) => {
+		if (!child.isMesh || !child.geometry?.attributes.normal) return;
+		if (normals) helpers.push(new VertexNormalsHelper(child, size, 0x22d3ee));
+		if (tangents && child.geometry.attributes.tangent) {
+			helpers.push(new VertexTangentsHelper(child, size, 0xf472b6));
+		}
+	});
+	for (const helper of helpers) {
+		object.add(helper);
+	}
+
+	return {
+		object,
+
+		// Follows animated and re-framed meshes
+		update() {
+			for (const helper of helpers) {
+				helper.update();
+			}
+		},
+
+		dispose() {
+			for (const helper of helpers) {
+				helper.dispose();
+			}
+		},
+	};
+}
@@ -0,0 +1,147 @@
+import * as THREE from "three";
+
+// Outliner for the loaded model: a tree mirroring its Object3D hierarchy,
+// per-node visibility with isolation, and the details of a selected node.
+
+export const NODE_TYPES = {
+	mesh: "Mesh",
+	skinnedMesh: "Skinned mesh",
+	points: "Points",
+	line: "Line",
+	bone: "Bone",
+	light: "Light",
+	camera: "Camera",
+	group: "Group",
+};
+
+export function getNodeType(object) {
+	if (object.isSkinnedMesh) return "skinnedMesh";
+	if (object.isMesh) return "mesh";
+	if (object.isPoints) return "points";
+	if (object.isLine) return "line";
+	if (object.isBone) return "bone";
+	if (object.isLight) return "light";
+	if (object.isCamera) return "camera";
+	return "group";
+}
+
+// {id, object, name, type, children} for the object and its descendants
+export function buildSceneTree(object) {
+	const type = getNodeType(object);
+	return {
+		id: object.uuid,
+		object,
+		name: object.name || NODE_TYPES[type],
+		type,
+		children: object.children.map((child) => buildSceneTree(child)),
+	};
+}
+
+// Ids of the nodes the file itself hides, so the outliner starts in sync
+export function getHiddenNodes(tree) {
+	const hidden = new Set();
+	const visit = (node) => {
+		if (!node.object.visible) hidden.add(node.id);
+		node.children.forEach(visit);
+	};
+	visit(tree);
+	return hidden;
+}
+
+// Shows every node that isn't hidden. With a node isolated, only its subtree
+// and the path down to it stay visible.
+export function applyNodeVisibility(tree, hidden, isolatedId) {
+	// Returns whether the node is on the path to, or inside, the isolated node
+	const visit = (node, insideIsolated) => {
+		const inside = insideIsolated || node.id === isolatedId;
+		let onPath = inside;
+		for (const child of node.children) {
+			if (visit(child, inside)) onPath = true;
+		}
+		node.object.visible = !hidden.has(node.id) && (isolatedId === null || onPath);
+		return onPath;
+	};
+	visit(tree, false);
+}
+
+// Whether the object and all its ancestors are visible
+export function isNodeShown(object) {
+	for (let node = object; node; node = node.parent) {
+		if (!node.visible) return false;
+	}
+	return true;
+}
+
+// Whether the node or one of its descendants has a name containing `query`
+export function matchesNodeQuery(node, query) {
+	return (
+		node.name.toLowerCase().includes(query) ||
+		node.children.some((child) => matchesNodeQuery(child, query))
+	);
+}
+
+function getMaterials(object) {
+	if (!object.material) return [];
+	return Array.isArray(object.material) ? object.material : [object.material];
+}
+
+// Transform, geometry, material, skin, light and camera details of a node
+export function getNodeDetails(object) {
+	const details = {
+		position: object.position.toArray(),
+		rotation: [object.rotation.x, object.rotation.y, object.rotation.z].map(
+			THREE.MathUtils.radToDeg,
+		),
+		scale: object.scale.toArray(),
+		children: object.children.length,
+	};
+
+	const geometry = object.geometry;
+	if (geometry?.attributes.position) {
+		const count = geometry.attributes.position.count;
+		details.geometry = {
+			vertices: count,
+			triangles: object.isMesh ? Math.floor((geometry.index?.count ?? count) / 3) : 0,
+			indexed: !!geometry.index,
+			attributes: Object.keys(geometry.attributes),
+			morphTargets: geometry.morphAttributes.position?.length ?? 0,
+		};
+	}
+
+	const materials = getMaterials(object);
+	if (materials.length > 0) {
+		details.materials = materials.map((material) => ({
+			name: material.name || "Unnamed",
+			type: material.type,
+		}));
+	}
+
+	if (object.isSkinnedMesh) {
+		details.skin = { bones: object.skeleton.bones.length };
+	}
+
+	if (object.isLight) {
+		details.light = {
+			type: object.type,
+			color: `#${object.color.getHexString()}`,
+			intensity: object.intensity,
+		};
+	}
+
+	if (object.isCamera) {
+		details.camera = object.isPerspectiveCamera
+			? { type: "Perspective", fov: object.fov }
+			: { type: "Orthographic" };
+	}
+
+	return details;
+}
+
+// Bounding box around the selected node, for the viewport highlight
+export function createSelectionHighlight(object) {
+	const helper = new THREE.BoxHelper(object, 0xfacc15);
+	helper.material.depthTest = false;
+	helper.material.transparent = true;
+	helper.renderOrder = 1;
+	return helper;
+}
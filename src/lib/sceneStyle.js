@@ -0,0 +1,257 @@
+import * as THREE from "three";
+import { loadSetting, saveSetting } from "@/lib/storage";
+
+// Look of the virtual box and the background behind it. Settings are stored
+// in the browser and can be overridden through URL params, e.g. to brand a
+// kiosk deployment:
+//
+//   ?boxDepth=15&grid=20&lineColor=ff8800&walls=gradient&wallColor=202030
+//   &wallColor2=000000&background=gradient&backgroundColor=101020
+//   &backgroundColor2=000000&hideWalls=ceiling,left
+
+export const WALLS = {
+	back: "Back",
+	floor: "Floor",
+	ceiling: "Ceiling",
+	left: "Left",
+	right: "Right",
+};
+
+export const WALL_STYLES = {
+	wireframe: "Grid lines only",
+	solid: "Solid",
+	gradient: "Gradient (fades with depth)",
+};
+
+export const BACKGROUND_STYLES = {
+	solid: "Solid",
+	gradient: "Vertical gradient",
+};
+
+export const DEFAULT_SCENE_STYLE = {
+	boxDepth: 10,
+	gridDivisions: 10,
+	lineColor: "#444444",
+	wallStyle: "wireframe",
+	wallColor: "#16161e",
+	wallColor2: "#050508", // far end of gradient walls
+	background: "solid",
+	backgroundColor: "#020205",
+	backgroundColor2: "#1a1a2e", // top of the gradient background
+	hiddenWalls: [],
+};
+
+export const BOX_DEPTH_RANGE = { min: 2, max: 40, step: 1 };
+export const GRID_DIVISIONS_RANGE = { min: 0, max: 40, step: 1 };
+
+const SCENE_STYLE_KEY = "model-viewer.scene-style";
+
+function parseColor(value) {
+	if (!value) return undefined;
+	const hex = value.replace(/^#/, "").toLowerCase();
+	if (/^[0-9a-f]{3}$/.test(hex)) {
+		return `#${hex.replace(/./g, "$&$&")}`; // color inputs need 6 digits
+	}
+	return /^[0-9a-f]{6}$/.test(hex) ? `#${hex}` : undefined;
+}
+
+function parseNumber(value, { min, max }) {
+	if (value === null || value === "") return undefined;
+	const number = Number(value);
+	return Number.isFinite(number)
+		? Math.min(Math.max(number, min), max)
+		: undefined;
+}
+
+function parseChoice(value, choices) {
+	return value && value in choices ? value : undefined;
+}
+
+// Style overrides from URL params; invalid values are ignored
+export function getSceneStyleFromUrl(search = window.location.search) {
+	const params = new URLSearchParams(search);
+	const hideWalls = params.get("hideWalls");
+	const overrides = {
+		boxDepth: parseNumber(params.get("boxDepth"), BOX_DEPTH_RANGE),
+		gridDivisions: parseNumber(params.get("grid"), GRID_DIVISIONS_RANGE),
+		lineColor: parseColor(params.get("lineColor")),
+		wallStyle: parseChoice(params.get("walls"), WALL_STYLES),
+		wallColor: parseColor(params.get("wallColor")),
+		wallColor2: parseColor(params.get("wallColor2")),
+		background: parseChoice(params.get("background"), BACKGROUND_STYLES),
+		backgroundColor: parseColor(params.get("backgroundColor")),
+		backgroundColor2: parseColor(params.get("backgroundColor2")),
+		hiddenWalls:
+			hideWalls === null
+				? undefined
+				: hideWalls.split(",").filter((wall) => wall in WALLS),
+	};
+	return Object.fromEntries(
+		Object.entries(overrides).filter(([, value]) => value !== undefined),
+	);
+}
+
+// Params for the values that differ from the defaults, null for the rest
+export function sceneStyleToParams(style) {
+	const changed = (key) => style[key] !== DEFAULT_SCENE_STYLE[key];
+	const color = (key) => (changed(key) ? style[key].replace(/^#/, "") : null);
+	return {
+		boxDepth: changed("boxDepth") ? String(style.boxDepth) : null,
+		grid: changed("gridDivisions") ? String(style.gridDivisions) : null,
+		lineColor: color("lineColor"),
+		walls: changed("wallStyle") ? style.wallStyle : null,
+		wallColor: color("wallColor"),
+		wallColor2: color("wallColor2"),
+		background: changed("background") ? style.background : null,
+		backgroundColor: color("backgroundColor"),
+		backgroundColor2: color("backgroundColor2"),
+		hideWalls: style.hiddenWalls.length > 0 ? style.hiddenWalls.join(",") : null,
+	};
+}
+
+export function loadSceneStyle() {
+	return {
+		...loadSetting(SCENE_STYLE_KEY, DEFAULT_SCENE_STYLE),
+		...getSceneStyleFromUrl(),
+	};
+}
+
+export function saveSceneStyle(style) {
+	saveSetting(SCENE_STYLE_KEY, style);
+}
+
+// Background: a flat color, or a bottom-to-top gradient texture
+export function createBackground(style) {
+	if (style.background !== "gradient") {
+		return new THREE.Color(style.backgroundColor);
+	}
+
+	const canvas = document.createElement("canvas");
+	canvas.width = 2;
+	canvas.height = 256;
+	const context = canvas.getContext("2d");
+	const gradient = context.createLinearGradient(0, canvas.height, 0, 0);
+	gradient.addColorStop(0, style.backgroundColor);
+	gradient.addColorStop(1, style.backgroundColor2);
+	context.fillStyle = gradient;
+	context.fillRect(0, 0, canvas.width, canvas.height);
+
+	const texture = new THREE.CanvasTexture(canvas);
+	texture.colorSpace = THREE.SRGBColorSpace;
+	return texture;
+}
+
+// Wall quads from their four corners, colored by depth for gradient walls
+function createWall(corners, depth, style) {
+	const geometry = new THREE.BufferGeometry().setFromPoints(corners);
+	geometry.setIndex([0, 1, 2, 0, 2, 3]);
+
+	const near = new THREE.Color(style.wallColor);
+	const far = new THREE.Color(
+		style.wallStyle === "gradient" ? style.wallColor2 : style.wallColor,
+	);
+	const colors = corners.flatMap((corner) => {
+		const color = near.clone().lerp(far, -corner.z / depth);
+		return [color.r, color.g, color.b];
+	});
+	geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+
+	return new THREE.Mesh(
+		geometry,
+		new THREE.MeshBasicMaterial({
+			vertexColors: true,
+			side: THREE.DoubleSide,
+			toneMapped: false,
+			// Keep the grid lines on top of the wall they lie on
+			polygonOffset: true,
+			polygonOffsetFactor: 1,
+			polygonOffsetUnits: 1,
+		}),
+	);
+}
+
+// Grid lines spanning a wall of size a x b, in the grid helper's XZ plane
+function createWallGrid(a, b, style) {
+	const size = Math.max(a, b);
+	const grid = new THREE.GridHelper(
+		size,
+		style.gridDivisions,
+		style.lineColor,
+		style.lineColor,
+	);
+	grid.scale.set(a / size, 1, b / size);
+	return grid;
+}
+
+export function createVirtualBox(width, height, depth, style) {
+	const group = new THREE.Group();
+	const hidden = new Set(style.hiddenWalls);
+	const x = width / 2;
+	const y = height / 2;
+	const V = (vx, vy, vz) => new THREE.Vector3(vx, vy, vz);
+
+	const walls = {
+		back: {
+			corners: [V(-x, -y, -depth), V(x, -y, -depth), V(x, y, -depth), V(-x, y, -depth)],
+			grid: () => {
+				const grid = createWallGrid(width, height, style);
+				grid.rotation.x = Math.PI / 2;
+				grid.position.z = -depth;
+				return grid;
+			},
+		},
+		floor: {
+			corners: [V(-x, -y, 0), V(x, -y, 0), V(x, -y, -depth), V(-x, -y, -depth)],
+			grid: () => {
+				const grid = createWallGrid(width, depth, style);
+				grid.position.set(0, -y, -depth / 2);
+				return grid;
+			},
+		},
+		ceiling: {
+			corners: [V(-x, y, 0), V(x, y, 0), V(x, y, -depth), V(-x, y, -depth)],
+			grid: () => {
+				const grid = createWallGrid(width, depth, style);
+				grid.position.set(0, y, -depth / 2);
+				return grid;
+			},
+		},
+		left: {
+			corners: [V(-x, -y, 0), V(-x, y, 0), V(-x, y, -depth), V(-x, -y, -depth)],
+			grid: () => {
+				const grid = createWallGrid(height, depth, style);
+				grid.rotation.z = Math.PI / 2;
+				grid.position.set(-x, 0, -depth / 2);
+				return grid;
+			},
+		},
+		right: {
+			corners: [V(x, -y, 0), V(x, y, 0), V(x, y, -depth), V(x, -y, -depth)],
+			grid: () => {
+				const grid = createWallGrid(height, depth, style);
+				grid.rotation.z = Math.PI / 2;
+				grid.position.set(x, 0, -depth / 2);
+				return grid;
+			},
+		},
+	};
+
+	for (const [name, wall] of Object.entries(walls)) {
+		if (hidden.has(name)) continue;
+		if (style.wallStyle !== "wireframe") {
+			group.add(createWall(wall.corners, depth, style));
+		}
+		if (style.gridDivisions > 0) {
+			group.add(wall.grid());
+		}
+	}
+
+	return group;
+}
+
+export function disposeVirtualBox(group) {
+	group.traverse((child) => {
+		child.geometry?.dispose();
+		child.material?.dispose();
+	});
+}
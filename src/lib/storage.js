@@ -0,0 +1,29 @@
+// Small localStorage helpers for persisted viewer settings. Stored values
+// are merged over the defaults so settings added later pick up defaults.
+
+export function loadSetting(key, defaults) {
+	try {
+		const stored = JSON.parse(localStorage.getItem(key));
+		return stored && typeof stored === "object"
+			? { ...defaults, ...stored }
+			: { ...defaults };
+	} catch {
+		return { ...defaults };
+	}
+}
+
+export function saveSetting(key, value) {
+	try {
+		localStorage.setItem(key, JSON.stringify(value));
+	} catch (error) {
+		console.warn(`Failed to save ${key}:`, error);
+	}
+}
+
+export function clearSetting(key) {
+	try {
+		localStorage.removeItem(key);
+	} catch {
+		// Storage unavailable, nothing to clear
+	}
+}
@@ -0,0 +1,135 @@
+import * as THREE from "three";
+
+// glTF material texture slots and the three.js material maps they feed.
+// Color data is sRGB; normal, ORM and other data maps must stay linear.
+export const TEXTURE_SLOTS = {
+	baseColor: { maps: ["map"], colorSpace: THREE.SRGBColorSpace },
+	normal: { maps: ["normalMap"], colorSpace: THREE.NoColorSpace },
+	metallicRoughness: {
+		maps: ["roughnessMap", "metalnessMap"],
+		colorSpace: THREE.NoColorSpace,
+	},
+	occlusion: { maps: ["aoMap"], colorSpace: THREE.NoColorSpace },
+	emissive: { maps: ["emissiveMap"], colorSpace: THREE.SRGBColorSpace },
+};
+
+const WRAP_MODES = {
+	33071: THREE.ClampToEdgeWrapping,
+	33648: THREE.MirroredRepeatWrapping,
+	10497: THREE.RepeatWrapping,
+};
+
+function getFileName(uri) {
+	let decoded = uri;
+	try {
+		decoded = decodeURIComponent(uri);
+	} catch {
+		// Malformed escapes: use the raw name
+	}
+	return decoded.split(/[?#]/)[0].split("/").pop().split("\\").pop();
+}
+
+function getMaterialTextureInfos(materialDef) {
+	const pbr = materialDef.pbrMetallicRoughness ?? {};
+	return {
+		baseColor: pbr.baseColorTexture,
+		normal: materialDef.normalTexture,
+		metallicRoughness: pbr.metallicRoughnessTexture,
+		occlusion: materialDef.occlusionTexture,
+		emissive: materialDef.emissiveTexture,
+	};
+}
+
+function getTextureSource(textureDef) {
+	const extensions = textureDef.extensions ?? {};
+	return (
+		extensions.KHR_texture_basisu?.source ??
+		extensions.EXT_texture_webp?.source ??
+		extensions.EXT_texture_avif?.source ??
+		textureDef.source
+	);
+}
+
+// Works out exactly which material slots reference each failed image, by
+// walking the glTF JSON textures -> images -> materials chain and mapping
+// glTF material indices back onto the loaded three.js materials.
+export function findMissingTextureSlots(gltf, failedFilenames) {
+	const json = gltf?.parser?.json;
+	if (!json || failedFilenames.length === 0) return [];
+
+	const failed = new Set(failedFilenames);
+	const images = json.images ?? [];
+	const textures = json.textures ?? [];
+	const samplers = json.samplers ?? [];
+
+	// glTF material index -> loaded materials (clones share the association)
+	const materialsByIndex = new Map();
+	gltf.scene.traverse((child) => {
+		if (!child.isMesh || !child.material) return;
+		const materials = Array.isArray(child.material)
+			? child.material
+			: [child.material];
+		for (const material of materials) {
+			const index = gltf.parser.associations.get(material)?.materials;
+			if (index === undefined) continue;
+			const list = materialsByIndex.get(index) ?? new Set();
+			list.add(material);
+			materialsByIndex.set(index, list);
+		}
+	});
+
+	const entries = [];
+	(json.materials ?? []).forEach((materialDef, materialIndex) => {
+		const materials = materialsByIndex.get(materialIndex);
+		if (!materials) return;
+
+		const infos = getMaterialTextureInfos(materialDef);
+		for (const [slot, textureInfo] of Object.entries(infos)) {
+			if (!textureInfo) continue;
+
+			const textureDef = textures[textureInfo.index];
+			const imageDef = textureDef ? images[getTextureSource(textureDef)] : null;
+			if (!imageDef?.uri || imageDef.uri.startsWith("data:")) continue;
+
+			const filename = getFileName(imageDef.uri);
+			if (!failed.has(filename)) continue;
+
+			const sampler = samplers[textureDef.sampler] ?? {};
+			for (const material of materials) {
+				entries.push({
+					material,
+					materialName: materialDef.name ?? `Material ${materialIndex}`,
+					slot,
+					expectedFilename: filename,
+					channel: textureInfo.texCoord ?? 0,
+					wrapS: WRAP_MODES[sampler.wrapS] ?? THREE.RepeatWrapping,
+					wrapT: WRAP_MODES[sampler.wrapT] ?? THREE.RepeatWrapping,
+				});
+			}
+		}
+	});
+
+	return entries;
+}
+
+// Assigns a recovered texture to the slot recorded by findMissingTextureSlots,
+// with the color space, UV channel and wrapping the glTF asked for.
+export function applyTextureToSlot(entry, texture) {
+	const { material, slot, channel, wrapS, wrapT } = entry;
+	const { maps, colorSpace } = TEXTURE_SLOTS[slot];
+
+	const slotTexture = texture.clone();
+	slotTexture.colorSpace = colorSpace;
+	slotTexture.channel = channel;
+	slotTexture.wrapS = wrapS;
+	slotTexture.wrapT = wrapT;
+	slotTexture.flipY = false; // GLTF textures are not flipped
+	slotTexture.needsUpdate = true;
+
+	for (const mapType of maps) {
+		if (mapType in material) {
+			material[mapType] = slotTexture;
+		}
+	}
+	material.needsUpdate = true;
+}
@@ -0,0 +1,159 @@
+// Recording and replay of tracking sessions: the face and hand landmark
+// streams from the landmarkers, with their timestamps, saved as JSON and fed
+// back through the same head position, puppet and gesture code in place of
+// the camera. Replays are deterministic for a given sequence of times.
+//
+// File format (version 1):
+//   { version, videoAspect, duration, blendshapes: [names],
+//     events: [{t, face: [x, y, z, ...] | null, blendshapes: [scores]}
+//            | {t, hands: [[x, y, z, ...], ...], handedness: ["Left" | "Right"]}] }
+// with `t` in milliseconds from the start of the recording. `handedness` is
+// optional, older recordings don't have it.
+
+export const TRACKING_SESSION_VERSION = 1;
+
+const PRECISION = 1e5;
+
+// Landmarks per detection: the face mesh with or without irises, and a hand
+const FACE_LANDMARK_COUNTS = [468, 478];
+const HAND_LANDMARK_COUNT = 21;
+
+const round = (value) => Math.round(value * PRECISION) / PRECISION;
+
+// Landmarks as flat [x, y, z, ...] arrays, rounded to keep files small
+function packLandmarks(landmarks) {
+	return landmarks.flatMap((point) => [round(point.x), round(point.y), round(point.z)]);
+}
+
+function unpackLandmarks(values) {
+	if (!values.every(Number.isFinite)) {
+		throw new Error("Invalid tracking session: non-numeric landmark");
+	}
+	const landmarks = [];
+	for (let i = 0; i + 2 < values.length; i += 3) {
+		landmarks.push({ x: values[i], y: values[i + 1], z: values[i + 2] });
+	}
+	return landmarks;
+}
+
+// Collects detections as they come in. `startTime` and the times passed to
+// addFace / addHands are performance.now() timestamps; `videoAspect` is the
+// camera's height / width, which head position estimates need.
+export function createSessionRecorder(startTime, videoAspect) {
+	const events = [];
+	let blendshapeNames = null;
+
+	return {
+		// `landmarks` is null when no face was found; `blendshapes` are the
+		// landmarker's categories, if any
+		addFace(time, landmarks, blendshapes) {
+			const event = { t: round(time - startTime), face: landmarks && packLandmarks(landmarks) };
+			if (landmarks && blendshapes) {
+				blendshapeNames ??= blendshapes.map((category) => category.categoryName);
+				event.blendshapes = blendshapes.map((category) => round(category.score));
+			}
+			events.push(event);
+		},
+
+		addHands(time, hands, handedness) {
+			events.push({
+				t: round(time - startTime),
+				hands: hands.map(packLandmarks),
+				handedness,
+			});
+		},
+
+		get eventCount() {
+			return events.length;
+		},
+
+		toJSON() {
+			return {
+				version: TRACKING_SESSION_VERSION,
+				videoAspect,
+				duration: events.length > 0 ? events[events.length - 1].t : 0,
+				blendshapes: blendshapeNames ?? [],
+				events,
+			};
+		},
+	};
+}
+
+// Landmarks of one detection, which the head pose and gesture code index
+// into, so a wrong count rejects the whole file
+function readDetection(values, counts, kind, time) {
+	const landmarks = Array.isArray(values) ? unpackLandmarks(values) : [];
+	if (!counts.includes(landmarks.length) || values.length !== landmarks.length * 3) {
+		throw new Error(
+			`Invalid tracking session: ${kind} at ${time}ms has ${landmarks.length} landmarks`,
+		);
+	}
+	return landmarks;
+}
+
+// Validates a session file into time-ordered events:
+// {time, face: landmarks | null, blendshapes: categories | null} or
+// {time, hands, handedness: labels | null}
+export function parseTrackingSession(json) {
+	if (json?.version !== TRACKING_SESSION_VERSION || !Array.isArray(json.events)) {
+		throw new Error("Not a tracking session file");
+	}
+	const names = Array.isArray(json.blendshapes) ? json.blendshapes : [];
+
+	const events = json.events
+		.filter((event) => Number.isFinite(event?.t))
+		.map((event) => {
+			if (Array.isArray(event.hands)) {
+				return {
+					time: event.t,
+					hands: event.hands.map((hand) =>
+						readDetection(hand, [HAND_LANDMARK_COUNT], "hand", event.t),
+					),
+					handedness: Array.isArray(event.handedness) ? event.handedness : null,
+				};
+			}
+			const face =
+				event.face == null
+					? null
+					: readDetection(event.face, FACE_LANDMARK_COUNTS, "face", event.t);
+			const blendshapes =
+				face && Array.isArray(event.blendshapes)
+					? event.blendshapes.map((score, index) => ({
+							categoryName: names[index],
+							score,
+						}))
+					: null;
+			return { time: event.t, face, blendshapes };
+		})
+		.sort((a, b) => a.time - b.time);
+
+	return {
+		videoAspect: Number(json.videoAspect) || 0.75,
+		duration: events.length > 0 ? events[events.length - 1].time : 0,
+		events,
+	};
+}
+
+// Steps through a parsed session: advance(elapsed) returns the events up to
+// `elapsed` milliseconds that haven't been returned yet
+export function createSessionPlayer(session) {
+	let next = 0;
+
+	return {
+		advance(elapsed) {
+			const start = next;
+			while (next < session.events.length && session.events[next].time <= elapsed) {
+				next++;
+			}
+			return session.events.slice(start, next);
+		},
+
+		get done() {
+			return next >= session.events.length;
+		},
+
+		reset() {
+			next = 0;
+		},
+	};
+}
@@ -0,0 +1,87 @@
+import { lightingToParams } from "@/lib/lighting";
+import { viewStateToParams } from "@/lib/modelTransform";
+import { sceneStyleToParams } from "@/lib/sceneStyle";
+
+// Shareable viewer state in the URL. The settings modules each own their
+// params (getViewFromUrl, getLightingFromUrl, getSceneStyleFromUrl); this
+// adds the model, annotations, animation and tracking params and builds
+// whole URLs:
+//
+//   ?model=URL&annotations=URL&anim=Walk&t=1.25&tracking=off&frame=popOut&rot=...
+
+export function getAnimationFromUrl(search = window.location.search) {
+	const params = new URLSearchParams(search);
+	const clip = params.get("anim");
+	if (!clip) return null;
+
+	const time = Number(params.get("t"));
+	return { clip, time: Number.isFinite(time) && time > 0 ? time : 0 };
+}
+
+// Clips are linked by name, or by index when unnamed
+export function findAnimationIndex(clips, clip) {
+	const byName = clips.findIndex((candidate) => candidate.name === clip);
+	if (byName !== -1) return byName;
+	const index = Number(clip);
+	return Number.isInteger(index) && index >= 0 && index < clips.length
+		? index
+		: -1;
+}
+
+export function getAnimationParam(clips, index) {
+	return clips[index].name || String(index);
+}
+
+// URL of an annotations JSON file to load with the model
+export function getAnnotationsUrlFromUrl(search = window.location.search) {
+	return new URLSearchParams(search).get("annotations");
+}
+
+// null when the URL doesn't say, so the default applies
+export function getTrackingFromUrl(search = window.location.search) {
+	const value = new URLSearchParams(search).get("tracking");
+	if (value === "off") return false;
+	if (value === "on") return true;
+	return null;
+}
+
+// The current URL with every state param replaced; params set to null are
+// removed, and unrelated params are kept
+export function buildStateUrl({
+	modelUrl,
+	annotationsUrl,
+	animation,
+	viewState,
+	framing,
+	lighting,
+	sceneStyle,
+	trackingEnabled,
+}) {
+	const url = new URL(window.location.href);
+	const params = {
+		model: modelUrl ?? null,
+		annotations: annotationsUrl ?? null,
+		anim: animation?.clip ?? null,
+		t: animation?.time ? animation.time.toFixed(2) : null,
+		tracking: trackingEnabled ? null : "off",
+		...viewStateToParams(viewState, framing),
+		...lightingToParams(lighting),
+		...sceneStyleToParams(sceneStyle),
+	};
+
+	for (const [key, value] of Object.entries(params)) {
+		if (value === null) {
+			url.searchParams.delete(key);
+		} else {
+			url.searchParams.set(key, value);
+		}
+	}
+	return url.toString();
+}
+
+// Updates the address bar without reloading or adding history entries
+export function replaceUrl(url) {
+	if (url !== window.location.href) {
+		window.history.replaceState(window.history.state, "", url);
+	}
+}
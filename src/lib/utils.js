@@ -4,3 +4,14 @@ import { twMerge } from "tailwind-merge";
 export function cn(...inputs) {
 	return twMerge(clsx(inputs));
 }
+
+// Saves a blob through a temporary download link. The URL is revoked a
+// little later: Firefox and Safari start the download after click() returns.
+export function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,155 @@
+import { trackballRotation } from "@/lib/modelTransform";
+
+// Mouse, touch and keyboard input for the viewer. Produces the same view
+// actions as the hand gesture recognizer (rotate / scale / pan / reset), so
+// every input drives the model transform the same way and the camera (and
+// its off-axis projection) is left to head tracking.
+//
+//   Mouse:    drag to rotate, right or shift + drag to pan, wheel to zoom,
+//             double click to reset
+//   Touch:    one finger to rotate, two fingers to pinch zoom and pan
+//   Keyboard: arrows rotate, shift + arrows pan, +/- zoom, R or 0 reset
+
+const ROTATE_SENSITIVITY = 4; // radians per viewport width
+const WHEEL_SENSITIVITY = 0.001;
+const KEY_ROTATE_STEP = Math.PI / 24;
+const KEY_PAN_STEP = 0.02;
+const KEY_ZOOM_FACTOR = 1.1;
+
+function isEditable(target) {
+	return (
+		target instanceof HTMLElement &&
+		(target.isContentEditable ||
+			["INPUT", "SELECT", "TEXTAREA"].includes(target.tagName))
+	);
+}
+
+export function attachViewerInput(element, onAction) {
+	const pointers = new Map(); // pointerId -> {x, y}
+	let panning = false;
+	let previousPinch = null; // {span, x, y}
+
+	const rotate = (angleX, angleY) => {
+		const quaternion = trackballRotation(angleX, angleY);
+		if (quaternion) onAction({ type: "rotate", quaternion });
+	};
+
+	const getPinch = () => {
+		const [a, b] = Array.from(pointers.values());
+		return {
+			span: Math.hypot(a.x - b.x, a.y - b.y),
+			x: (a.x + b.x) / 2,
+			y: (a.y + b.y) / 2,
+		};
+	};
+
+	const handlePointerDown = (e) => {
+		element.setPointerCapture(e.pointerId);
+		pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+		panning = e.pointerType === "mouse" && (e.button === 2 || e.shiftKey);
+		previousPinch = pointers.size === 2 ? getPinch() : null;
+	};
+
+	const handlePointerMove = (e) => {
+		const previous = pointers.get(e.pointerId);
+		if (!previous) return;
+		const current = { x: e.clientX, y: e.clientY };
+		pointers.set(e.pointerId, current);
+
+		const width = element.clientWidth || 1;
+		const height = element.clientHeight || 1;
+
+		if (pointers.size === 2) {
+			// Two fingers: pinch to zoom, move together to pan
+			const pinch = getPinch();
+			if (previousPinch && previousPinch.span > 0) {
+				onAction({ type: "scale", factor: pinch.span / previousPinch.span });
+				onAction({
+					type: "pan",
+					x: (pinch.x - previousPinch.x) / width,
+					y: -(pinch.y - previousPinch.y) / height,
+				});
+			}
+			previousPinch = pinch;
+			return;
+		}
+		if (pointers.size > 2) return;
+
+		const dx = current.x - previous.x;
+		const dy = current.y - previous.y;
+		if (panning) {
+			onAction({ type: "pan", x: dx / width, y: -dy / height });
+		} else {
+			rotate(
+				(dy / width) * ROTATE_SENSITIVITY,
+				(dx / width) * ROTATE_SENSITIVITY,
+			);
+		}
+	};
+
+	const handlePointerUp = (e) => {
+		pointers.delete(e.pointerId);
+		previousPinch = pointers.size === 2 ? getPinch() : null;
+		if (pointers.size === 0) panning = false;
+	};
+
+	const handleWheel = (e) => {
+		e.preventDefault();
+		onAction({
+			type: "scale",
+			factor: Math.exp(-e.deltaY * WHEEL_SENSITIVITY),
+		});
+	};
+
+	const handleDoubleClick = () => onAction({ type: "reset" });
+	const handleContextMenu = (e) => e.preventDefault();
+
+	const handleKeyDown = (e) => {
+		if (isEditable(e.target) || e.metaKey || e.ctrlKey || e.altKey) return;
+
+		const arrows = {
+			ArrowLeft: [0, -1],
+			ArrowRight: [0, 1],
+			ArrowUp: [-1, 0],
+			ArrowDown: [1, 0],
+		};
+
+		if (arrows[e.key]) {
+			const [x, y] = arrows[e.key];
+			if (e.shiftKey) {
+				onAction({ type: "pan", x: y * KEY_PAN_STEP, y: -x * KEY_PAN_STEP });
+			} else {
+				rotate(x * KEY_ROTATE_STEP, y * KEY_ROTATE_STEP);
+			}
+		} else if (e.key === "+" || e.key === "=") {
+			onAction({ type: "scale", factor: KEY_ZOOM_FACTOR });
+		} else if (e.key === "-" || e.key === "_") {
+			onAction({ type: "scale", factor: 1 / KEY_ZOOM_FACTOR });
+		} else if (e.key === "r" || e.key === "R" || e.key === "0") {
+			onAction({ type: "reset" });
+		} else {
+			return;
+		}
+		e.preventDefault();
+	};
+
+	element.addEventListener("pointerdown", handlePointerDown);
+	element.addEventListener("pointermove", handlePointerMove);
+	element.addEventListener("pointerup", handlePointerUp);
+	element.addEventListener("pointercancel", handlePointerUp);
+	element.addEventListener("wheel", handleWheel, { passive: false });
+	element.addEventListener("dblclick", handleDoubleClick);
+	element.addEventListener("contextmenu", handleContextMenu);
+	window.addEventListener("keydown", handleKeyDown);
+
+	return () => {
+		element.removeEventListener("pointerdown", handlePointerDown);
+		element.removeEventListener("pointermove", handlePointerMove);
+		element.removeEventListener("pointerup", handlePointerUp);
+		element.removeEventListener("pointercancel", handlePointerUp);
+		element.removeEventListener("wheel", handleWheel);
+		element.removeEventListener("dblclick", handleDoubleClick);
+		element.removeEventListener("contextmenu", handleContextMenu);
+		window.removeEventListener("keydown", handleKeyDown);
+	};
+}
@@ -1,3 +1,4 @@
+import { cpSync, mkdirSync, readFileSync } from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import mkcert from "vite-plugin-mkcert";
@@ -5,6 +6,7 @@ import react from "@vitejs/plugin-react-swc";
 import tailwindcss from "@tailwindcss/vite";
 import { defineConfig } from "vite";
 import dotenv from "dotenv";
+import { fetchModels } from "./scripts/fetch-models.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -20,9 +22,103 @@ for (const file of envFiles) {
     dotenv.config({ path: file, override: true, quiet: true });
 }
 
+// Decoders (Draco, Basis/KTX2) and the MediaPipe vision WASM are loaded at
+// runtime from our own base path; copy them out of the installed packages so
+// they always match the JS that loads them.
+const nodeModules = path.resolve(__dirname, "node_modules");
+const threeLibs = "three/examples/jsm/libs";
+const mediapipeWasm = "@mediapipe/tasks-vision/wasm";
+const runtimeAssets = {
+    "decoders/draco": [
+        `${threeLibs}/draco/gltf/draco_decoder.js`,
+        `${threeLibs}/draco/gltf/draco_decoder.wasm`,
+        `${threeLibs}/draco/gltf/draco_wasm_wrapper.js`,
+    ],
+    "decoders/basis": [
+        `${threeLibs}/basis/basis_transcoder.js`,
+        `${threeLibs}/basis/basis_transcoder.wasm`,
+    ],
+    "mediapipe/wasm": [
+        `${mediapipeWasm}/vision_wasm_internal.js`,
+        `${mediapipeWasm}/vision_wasm_internal.wasm`,
+        `${mediapipeWasm}/vision_wasm_nosimd_internal.js`,
+        `${mediapipeWasm}/vision_wasm_nosimd_internal.wasm`,
+    ],
+};
+
+const mediapipeVersion = JSON.parse(
+    readFileSync(
+        path.join(nodeModules, "@mediapipe/tasks-vision/package.json"),
+        "utf8"
+    )
+).version;
+
+function copyRuntimeAssets() {
+    return {
+        name: "copy-runtime-assets",
+        buildStart() {
+            for (const [dir, files] of Object.entries(runtimeAssets)) {
+                const target = path.resolve(__dirname, "public", dir);
+                mkdirSync(target, { recursive: true });
+                for (const file of files) {
+                    cpSync(
+                        path.join(nodeModules, file),
+                        path.join(target, path.basename(file))
+                    );
+                }
+            }
+        },
+    };
+}
+
+// The landmarker models aren't in any package, so they are downloaded into
+// public/ once. Without them the app falls back to the CDN copies, unless
+// that fallback is turned off and nothing else serves them, in which case a
+// build without the models would ship broken tracking and fails instead.
+function fetchMediapipeModels() {
+    const required =
+        process.env.VITE_MEDIAPIPE_REMOTE_FALLBACK === "false" &&
+        !process.env.VITE_MEDIAPIPE_BASE_URL;
+    let config;
+
+    return {
+        name: "fetch-mediapipe-models",
+        configResolved(resolved) {
+            config = resolved;
+        },
+        async buildStart() {
+            const failures = await fetchModels((message) =>
+                config.logger.info(message)
+            );
+            if (failures.length === 0) return;
+
+            const message = [
+                "MediaPipe models missing from public/mediapipe/models:",
+                ...failures.map(({ model, reason }) => `  ${model} (${reason})`),
+                "Run `npm run models` once network access is available.",
+            ].join("\n");
+            if (required && config.command === "build") {
+                this.error(
+                    `${message}\nVITE_MEDIAPIPE_REMOTE_FALLBACK=false needs them bundled.`
+                );
+            }
+            this.warn(`${message}\nTracking will load them from the CDN.`);
+        },
+    };
+}
+
 export default defineConfig({
     base: "/model-viewer/",
-    plugins: [mkcert(), react(), tailwindcss()],
+    plugins: [
+        copyRuntimeAssets(),
+        fetchMediapipeModels(),
+        mkcert(),
+        react(),
+        tailwindcss(),
+    ],
+    define: {
+        "import.meta.env.VITE_MEDIAPIPE_VERSION": JSON.stringify(mediapipeVersion),
+    },
     resolve: {
         alias: {
             "@": path.resolve(__dirname, "./src"),